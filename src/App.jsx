@@ -1,44 +1,150 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
 import * as Tone from 'tone';
-import lamejs from 'lamejs';
 import './App.css';
+import { MIN_BPM, MAX_BPM, setTransportBpm, scheduleSteps, startTransport, pauseTransport, stopTransport, atAudioTime, stepSeconds, stepAtTime, swingOffset, STEPS_PER_BAR } from './audio/transport';
+import { encodeWav } from './audio/wav';
+import { createFxChain, disposeFxChain } from './audio/fxChain';
+import { EFFECT_TYPES, createEffect, findEffectParam, sliderToParam, paramToSlider } from './audio/effects';
+import { createVoiceManager, VOICE_MODES, STEAL_MODES, MAX_POLYPHONY, MAX_UNISON } from './audio/voiceManager';
+import { DEFAULT_ENVELOPE_SETTINGS, MAX_CUTOFF } from './audio/envelope';
+import { createModMatrix, DEFAULT_MOD_SETTINGS, DEFAULT_MOD_ROUTE, LFO_SHAPES, LFO_DIVISIONS, MAX_LFO_RATE, MAX_ROUTES, MOD_SOURCES, MOD_DESTINATIONS } from './audio/modMatrix';
+import { bouncePattern } from './audio/bounce';
+import { createStepPlayer } from './audio/stepPlayer';
+import { OSC_MODES, DEFAULT_OSC_SETTINGS, MAX_COARSE, SUB_TYPES, oscKey } from './audio/oscillator';
+import { loadSyncOscillator } from './audio/syncOscillator';
+import { DEFAULT_TUNING, tuningFreq, sanitizeTuning } from './audio/tuning';
+import { DEFAULT_PERFORMANCE, performNotes, sanitizePerformance } from './audio/performance';
+import { createArpeggiator } from './audio/arpeggiator';
+import { createLooper, LOOP_BARS } from './audio/looper';
+import { diffLocks, withLocks, describeLock } from './audio/paramLocks';
+import { DRUM_ROWS, DRUM_KITS, DEFAULT_KIT, renderKitSound, decodeSample, sanitizeDrumSamples } from './audio/drumKits';
+import { DEFAULT_DRUM_SYNTH, SYNTH_DRUM_PARAMS, sanitizeDrumSynth, usesDrumSynth } from './audio/drumSynth';
+import { createDrumMachine, drumHitsAt, channelGain, sanitizeDrumMixer, DEFAULT_DRUM_STEP, DEFAULT_DRUM_MIXER, MAX_RATCHET, MAX_OFFSET, MAX_DRUM_TUNE } from './audio/drumMachine';
+import { downloadProject, downloadBlob, readProjectFile, toSeqPattern } from './project/project';
+import { PATTERN_BANKS, MIN_PATTERN_LENGTH, MAX_PATTERN_LENGTH, MAX_STEP_NOTES, MIN_GATE, DEFAULT_GATE, newStep, MAX_REPEATS, DEFAULT_SONG_ENTRY, clampLength, resizeTrack, emptySeqPattern, toDrumPattern, sanitizeSong, patternSteps, songPosition, flattenSong } from './project/patterns';
+import { DEFAULT_PRESET, PRESET_KEYS, toPreset, diffPreset } from './project/presets';
+import { loadSession, saveSession, listLibrary, saveLibraryEntry, deleteLibraryEntry, saveSample, loadSample } from './project/storage';
+import PresetLibrary from './components/PresetLibrary';
+import PianoRoll from './components/PianoRoll';
+import OscillatorMode from './components/OscillatorMode';
+import TuningPanel from './components/TuningPanel';
+import PerformancePanel from './components/PerformancePanel';
+import { ALL_INPUTS, SUSTAIN_CC, MOD_WHEEL_CC, PITCH_BEND_RANGE, midiSupported, requestMidiAccess, listInputs, connectMidiInput } from './midi/midiInput';
+import { LEARNABLE_PARAMS, findLearnableParam, ccToValue, addMapping } from './midi/midiLearn';
+import { createClockFollower, sendClockOut } from './midi/midiClock';
+import { NO_OUTPUT, listOutputs, midiNoteNumber, sendNote } from './midi/midiOutput';
+import { exportPatternsToMidi, importPatternsFromMidi } from './midi/midiFile';
+import { encodeMp3, MP3_BITRATES } from './audio/mp3';
 
 // Unified notes for one octave (C to B, including sharps)
 const NOTES = [
-  { name: 'C', key: 'a', freq: 261.63 },
-  { name: 'C#', key: 'q', freq: 277.18 },
-  { name: 'D', key: 's', freq: 293.66 },
-  { name: 'D#', key: 'w', freq: 311.13 },
-  { name: 'E', key: 'd', freq: 329.63 },
-  { name: 'F', key: 'f', freq: 349.23 },
-  { name: 'F#', key: 'r', freq: 369.99 },
-  { name: 'G', key: 'g', freq: 392.00 },
-  { name: 'G#', key: 't', freq: 415.30 },
-  { name: 'A', key: 'h', freq: 440.00 },
-  { name: 'A#', key: 'y', freq: 466.16 },
-  { name: 'B', key: 'j', freq: 493.88 },
+  { name: 'C', key: 'a' },
+  { name: 'C#', key: 'q' },
+  { name: 'D', key: 's' },
+  { name: 'D#', key: 'w' },
+  { name: 'E', key: 'd' },
+  { name: 'F', key: 'f' },
+  { name: 'F#', key: 'r' },
+  { name: 'G', key: 'g' },
+  { name: 'G#', key: 't' },
+  { name: 'A', key: 'h' },
+  { name: 'A#', key: 'y' },
+  { name: 'B', key: 'j' },
 ];
 
-const WAVE_TYPES = ['sine', 'square', 'triangle', 'sawtooth'];
 const NOISE_TYPES = ['white', 'pink', 'brown'];
 
+// Envelope section sliders, by envelope setting
+const AMP_ENVELOPE_SLIDERS = [
+  { key: 'ampAttack', label: 'A', min: 0, max: 4, step: 0.005, unit: 's' },
+  { key: 'ampDecay', label: 'D', min: 0, max: 4, step: 0.005, unit: 's' },
+  { key: 'ampSustain', label: 'S', min: 0, max: 1, step: 0.01, unit: '' },
+  { key: 'ampRelease', label: 'R', min: 0, max: 8, step: 0.005, unit: 's' },
+];
+const FILTER_ENVELOPE_SLIDERS = [
+  { key: 'cutoff', label: 'Cutoff', min: 20, max: MAX_CUTOFF, step: 10, unit: 'Hz' },
+  { key: 'resonance', label: 'Res', min: 0.1, max: 20, step: 0.1, unit: '' },
+  { key: 'filterEnvAmount', label: 'Amount', min: -6, max: 6, step: 0.1, unit: 'oct' },
+  { key: 'filterEnvVelocity', label: 'Vel', min: 0, max: 1, step: 0.01, unit: '' },
+  { key: 'filterAttack', label: 'A', min: 0, max: 4, step: 0.005, unit: 's' },
+  { key: 'filterDecay', label: 'D', min: 0, max: 4, step: 0.005, unit: 's' },
+  { key: 'filterSustain', label: 'S', min: 0, max: 1, step: 0.01, unit: '' },
+  { key: 'filterRelease', label: 'R', min: 0, max: 8, step: 0.005, unit: 's' },
+];
+
 const BASE_OCTAVE = 4;
 const NOTE_NAMES = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
 const NOTE_FREQS = [261.63, 293.66, 329.63, 349.23, 392.00, 440.00, 493.88];
 const KEY_BINDINGS = ['q', 'w', 'e', 'r', 't', 'y', 'u'];
 const SEQ_NOTE_NAMES = [...NOTE_NAMES, '-']; // for legacy, but not used in UI
 
-// Drum sequencer state and setup
-const DRUMS = [
-  { name: 'Kick', url: 'https://tonejs.github.io/audio/drum-samples/CR78/kick.mp3' },
-  { name: 'Snare', url: 'https://tonejs.github.io/audio/drum-samples/CR78/snare.mp3' },
-  { name: 'Closed HH', url: 'https://tonejs.github.io/audio/drum-samples/CR78/hihat.mp3' },
-];
+const DRUM_PAGE_SIZE = 16; // drum grid steps shown at once
+const AUDIO_FILE = /\.(wav|mp3|ogg|flac|aiff?)$/i;
 
 export default function App() {
   const [osc1Type, setOsc1Type] = useState('sine');
   const [osc2Type, setOsc2Type] = useState('sine');
-  const [heldNotes, setHeldNotes] = useState([]); // up to 4
+  const [heldNotes, setHeldNotes] = useState([]); // sounding notes: [{ note, name, octave, velocity }]
+  const voices = useRef(null); // voice manager, owns every synth voice
+  const stepPlayer = useRef(null); // plays step sequencer steps on the voices
+
+  // Add state for mix and detune
+  const [oscMix, setOscMix] = useState(0.5); // 0 = only osc1, 1 = only osc2
+  const [osc1Detune, setOsc1Detune] = useState(0); // in cents
+  const [osc2Detune, setOsc2Detune] = useState(0); // in cents
+
+  // Add state for enabling/disabling Osc 2
+  const [osc2Enabled, setOsc2Enabled] = useState(true);
+
+  // Oscillator mode settings (pulse width, FM ratio, wavetables, ...), see oscillator.js
+  const [oscSettings, setOscSettings] = useState(DEFAULT_OSC_SETTINGS);
+  const [oscError, setOscError] = useState(null);
+  const oscSetters = Object.fromEntries(Object.keys(DEFAULT_OSC_SETTINGS).map(key => [key, value => setOscSettings(s => ({ ...s, [key]: value }))]));
+  const [syncReady, setSyncReady] = useState(false); // hard sync's worklet is loaded
+  const [syncError, setSyncError] = useState(null);
+
+  // Voice allocation
+  const [voiceMode, setVoiceMode] = useState('poly'); // poly | mono | legato | unison
+  const [polyphony, setPolyphony] = useState(8);
+  const [voiceSteal, setVoiceSteal] = useState('oldest'); // oldest | quietest
+  const [unisonVoices, setUnisonVoices] = useState(4);
+  const [unisonSpread, setUnisonSpread] = useState(20); // cents
+
+  // Amp and filter envelopes (seconds, sustain 0-1, filter amount in octaves)
+  const [ampAttack, setAmpAttack] = useState(DEFAULT_ENVELOPE_SETTINGS.ampAttack);
+  const [ampDecay, setAmpDecay] = useState(DEFAULT_ENVELOPE_SETTINGS.ampDecay);
+  const [ampSustain, setAmpSustain] = useState(DEFAULT_ENVELOPE_SETTINGS.ampSustain);
+  const [ampRelease, setAmpRelease] = useState(DEFAULT_ENVELOPE_SETTINGS.ampRelease);
+  const [cutoff, setCutoff] = useState(DEFAULT_ENVELOPE_SETTINGS.cutoff);
+  const [resonance, setResonance] = useState(DEFAULT_ENVELOPE_SETTINGS.resonance);
+  const [filterEnvAmount, setFilterEnvAmount] = useState(DEFAULT_ENVELOPE_SETTINGS.filterEnvAmount);
+  const [filterEnvVelocity, setFilterEnvVelocity] = useState(DEFAULT_ENVELOPE_SETTINGS.filterEnvVelocity);
+  const [filterAttack, setFilterAttack] = useState(DEFAULT_ENVELOPE_SETTINGS.filterAttack);
+  const [filterDecay, setFilterDecay] = useState(DEFAULT_ENVELOPE_SETTINGS.filterDecay);
+  const [filterSustain, setFilterSustain] = useState(DEFAULT_ENVELOPE_SETTINGS.filterSustain);
+  const [filterRelease, setFilterRelease] = useState(DEFAULT_ENVELOPE_SETTINGS.filterRelease);
+  const envelope = { ampAttack, ampDecay, ampSustain, ampRelease, cutoff, resonance, filterEnvAmount, filterEnvVelocity, filterAttack, filterDecay, filterSustain, filterRelease };
+  const envelopeSetters = {
+    ampAttack: setAmpAttack,
+    ampDecay: setAmpDecay,
+    ampSustain: setAmpSustain,
+    ampRelease: setAmpRelease,
+    cutoff: setCutoff,
+    resonance: setResonance,
+    filterEnvAmount: setFilterEnvAmount,
+    filterEnvVelocity: setFilterEnvVelocity,
+    filterAttack: setFilterAttack,
+    filterDecay: setFilterDecay,
+    filterSustain: setFilterSustain,
+    filterRelease: setFilterRelease,
+  };
+
+  // Modulation: LFO settings and mod matrix routes (saved in presets), mod wheel 0-1
+  const [lfos, setLfos] = useState(DEFAULT_MOD_SETTINGS.lfos);
+  const [modRoutes, setModRoutes] = useState(DEFAULT_MOD_SETTINGS.modRoutes);
+  const [modWheel, setModWheel] = useState(0);
+  const modMatrix = useRef(null);
+
   const osc1 = useRef(null);
   const osc2 = useRef(null);
   const gain = useRef(null);
@@ -53,78 +159,115 @@ export default function App() {
   const whiteGain = useRef(null);
   const pinkGain = useRef(null);
   const brownGain = useRef(null);
+  // Synth drum voice settings by row key (rows set to 'synth' play these instead of
+  // their sound); declared here as they keep the white noise running
+  const [drumSynth, setDrumSynth] = useState(DEFAULT_DRUM_SYNTH);
+  const drumSynthOn = usesDrumSynth(drumSynth);
+  // Noise sources the live settings keep running (synth drums take the white one, and a
+  // mod route on a level can raise it from 0)
+  const levelModulated = (key) => modRoutes.some(r => r.dest === key && r.depth);
+  const noiseWanted = {
+    white: whiteLevel > 0 || drumSynthOn || levelModulated('whiteLevel'),
+    pink: pinkLevel > 0 || levelModulated('pinkLevel'),
+    brown: brownLevel > 0 || levelModulated('brownLevel'),
+  };
+
+  // Effects rack: modules in chain order, [{ id, type, bypass, params }]
+  const [effects, setEffects] = useState(DEFAULT_PRESET.effects);
+  const [newEffectType, setNewEffectType] = useState('chorus');
+  const [draggedEffect, setDraggedEffect] = useState(null); // index being dragged
 
-  // Effects state
-  const [reverb, setReverb] = useState(0); // 0-100
-  const [delay, setDelay] = useState(0); // 0-100
-  const [filter, setFilter] = useState(0); // 0-100
-  const [distortion, setDistortion] = useState(0); // 0-100
-  const [dub, setDub] = useState(0); // 0-100
-  const [stutter, setStutter] = useState(0); // 0-100
-  const [stutterRate, setStutterRate] = useState(8); // Hz
-  const [pitch, setPitch] = useState(0); // semitones
-  const [compressor, setCompressor] = useState(-24); // threshold dB
-
-  // Tone.js effect nodes
-  const reverbNode = useRef(null);
-  const delayNode = useRef(null);
-  const filterNode = useRef(null);
-  const distortionNode = useRef(null);
-  const dubNode = useRef(null);
+  // Tone.js chain: effects rack between fxInput and masterGain
+  const fxChain = useRef(null);
+  const fxInput = useRef(null);
   const masterGain = useRef(null);
-  const stutterNode = useRef(null);
-  const pitchNode = useRef(null);
-  const compressorNode = useRef(null);
 
   // --- Presets ---
-  const defaultPreset = {
-    osc1Type: 'sine',
-    osc2Type: 'sine',
-    whiteLevel: 0,
-    pinkLevel: 0,
-    brownLevel: 0,
-    reverb: 0,
-    delay: 0,
-    filter: 0,
-    distortion: 0,
-    heldNotes: [],
-  };
-  const [presets, setPresets] = useState(Array(8).fill().map(() => ({ ...defaultPreset })));
+  const [presets, setPresets] = useState(Array(8).fill().map(() => ({ ...DEFAULT_PRESET })));
   const [activePreset, setActivePreset] = useState(null);
 
+  // Snapshot of the current sound (plain data, every engine parameter)
+  const currentPreset = () => ({
+    osc1Type,
+    osc2Type,
+    osc1Detune,
+    osc2Detune,
+    oscMix,
+    osc2Enabled,
+    ...oscSettings,
+    voiceMode,
+    polyphony,
+    voiceSteal,
+    unisonVoices,
+    unisonSpread,
+    ...envelope,
+    lfos,
+    modRoutes,
+    whiteLevel,
+    pinkLevel,
+    brownLevel,
+    effects,
+  });
+  // What param locks revert to when their step ends (the step player is made once)
+  const liveSound = useRef(null);
+  liveSound.current = { sound: currentPreset, keepNoise: (type) => noiseWanted[type] };
+
+  // A/B compare: while comparing, the edited sound is parked here and the saved one is playing
+  const [comparedEdit, setComparedEdit] = useState(null);
+
   // Save current config to preset slot
   const savePreset = (idx) => {
     const newPresets = presets.slice();
-    newPresets[idx] = {
-      osc1Type,
-      osc2Type,
-      whiteLevel,
-      pinkLevel,
-      brownLevel,
-      reverb,
-      delay,
-      filter,
-      distortion,
-      heldNotes: heldNotes.map(n => ({ ...n })),
-    };
+    newPresets[idx] = currentPreset();
     setPresets(newPresets);
     setActivePreset(idx);
+    setComparedEdit(null);
+  };
+
+  const applyPreset = (p) => {
+    const setters = {
+      osc1Type: setOsc1Type,
+      osc2Type: setOsc2Type,
+      osc1Detune: setOsc1Detune,
+      osc2Detune: setOsc2Detune,
+      oscMix: setOscMix,
+      osc2Enabled: setOsc2Enabled,
+      ...oscSetters,
+      voiceMode: setVoiceMode,
+      polyphony: setPolyphony,
+      voiceSteal: setVoiceSteal,
+      unisonVoices: setUnisonVoices,
+      unisonSpread: setUnisonSpread,
+      ...envelopeSetters,
+      lfos: setLfos,
+      modRoutes: setModRoutes,
+      whiteLevel: setWhiteLevel,
+      pinkLevel: setPinkLevel,
+      brownLevel: setBrownLevel,
+      effects: setEffects,
+    };
+    PRESET_KEYS.forEach(key => setters[key](p[key]));
   };
 
   // Load preset config from slot
   const loadPreset = (idx) => {
-    const p = presets[idx];
-    setOsc1Type(p.osc1Type);
-    setOsc2Type(p.osc2Type);
-    setWhiteLevel(p.whiteLevel);
-    setPinkLevel(p.pinkLevel);
-    setBrownLevel(p.brownLevel);
-    setReverb(p.reverb);
-    setDelay(p.delay);
-    setFilter(p.filter);
-    setDistortion(p.distortion);
-    setHeldNotes(p.heldNotes.map(n => ({ ...n })));
+    applyPreset(presets[idx]);
     setActivePreset(idx);
+    setComparedEdit(null);
+  };
+
+  // Params changed since the active preset was loaded or saved
+  const presetChanges = activePreset === null ? [] : diffPreset(presets[activePreset], currentPreset());
+  const presetModified = presetChanges.length > 0;
+
+  const handleCompareToggle = () => {
+    if (comparedEdit) {
+      applyPreset(comparedEdit);
+      setComparedEdit(null);
+    } else if (presetModified) {
+      setComparedEdit(currentPreset());
+      applyPreset(presets[activePreset]);
+    }
   };
 
   // Preset button handler
@@ -139,62 +282,64 @@ export default function App() {
   // --- Setup audio chain once on mount ---
   useEffect(() => {
     // Create all nodes except always-on oscillators
-    gain.current = new Tone.Gain(0.5);
-    // Noise
-    whiteNoise.current = new Tone.Noise('white');
-    pinkNoise.current = new Tone.Noise('pink');
-    brownNoise.current = new Tone.Noise('brown');
-    whiteGain.current = new Tone.Gain(whiteLevel / 100);
-    pinkGain.current = new Tone.Gain(pinkLevel / 100);
-    brownGain.current = new Tone.Gain(brownLevel / 100);
-    // Effects
-    reverbNode.current = new Tone.Reverb({ decay: 2, wet: reverb / 100 });
-    delayNode.current = new Tone.FeedbackDelay({ delayTime: 0.25, feedback: 0.4, wet: delay / 100 });
-    filterNode.current = new Tone.Filter({ type: 'lowpass', frequency: 800 + (filter / 100) * 7000, Q: 1, rolloff: -24 });
-    distortionNode.current = new Tone.Distortion((distortion / 100) * 1.5);
-    dubNode.current = new Tone.FeedbackDelay({ delayTime: 0.45, feedback: 0.7, wet: dub / 100 });
-    masterGain.current = new Tone.Gain(1).toDestination();
-    stutterNode.current = new Tone.Tremolo({ frequency: stutterRate, depth: stutter / 100 }).start();
-    pitchNode.current = new Tone.PitchShift({ pitch });
-    compressorNode.current = new Tone.Compressor({ threshold: compressor });
-    // Connect chain: noises -> noiseGains -> stutter -> distortion -> filter -> delay -> dub -> reverb -> pitch -> compressor -> master
-    whiteNoise.current.connect(whiteGain.current);
-    pinkNoise.current.connect(pinkGain.current);
-    brownNoise.current.connect(brownGain.current);
-    gain.current.connect(stutterNode.current);
-    whiteGain.current.connect(stutterNode.current);
-    pinkGain.current.connect(stutterNode.current);
-    brownGain.current.connect(stutterNode.current);
-    stutterNode.current.connect(distortionNode.current);
-    distortionNode.current.connect(filterNode.current);
-    filterNode.current.connect(delayNode.current);
-    delayNode.current.connect(dubNode.current);
-    dubNode.current.connect(reverbNode.current);
-    reverbNode.current.connect(pitchNode.current);
-    pitchNode.current.connect(compressorNode.current);
-    compressorNode.current.connect(masterGain.current);
+    const chain = createFxChain({ whiteLevel, pinkLevel, brownLevel, effects });
+    fxChain.current = chain;
+    gain.current = chain.gain;
+    whiteNoise.current = chain.whiteNoise;
+    pinkNoise.current = chain.pinkNoise;
+    brownNoise.current = chain.brownNoise;
+    whiteGain.current = chain.whiteGain;
+    pinkGain.current = chain.pinkGain;
+    brownGain.current = chain.brownGain;
+    fxInput.current = chain.input;
+    masterGain.current = chain.master.toDestination();
+    voices.current = createVoiceManager(chain.input, { voiceMode, polyphony, voiceSteal, unisonVoices, unisonSpread });
+    modMatrix.current = createModMatrix(chain, voices.current);
+    stepPlayer.current = createStepPlayer(voices.current, chain, getFreq, {
+      sound: () => liveSound.current.sound(),
+      keepNoise: (type) => liveSound.current.keepNoise(type),
+    });
     // Don't start noise until needed
     return () => {
-      gain.current.dispose();
-      whiteNoise.current.dispose();
-      pinkNoise.current.dispose();
-      brownNoise.current.dispose();
-      whiteGain.current.dispose();
-      pinkGain.current.dispose();
-      brownGain.current.dispose();
-      reverbNode.current.dispose();
-      delayNode.current.dispose();
-      filterNode.current.dispose();
-      distortionNode.current.dispose();
-      dubNode.current.dispose();
-      masterGain.current.dispose();
-      stutterNode.current.dispose();
-      pitchNode.current.dispose();
-      compressorNode.current.dispose();
+      modMatrix.current.dispose();
+      voices.current.dispose();
+      disposeFxChain(chain);
     };
     // eslint-disable-next-line
   }, []);
 
+  useEffect(() => {
+    loadSyncOscillator()
+      .then(() => setSyncReady(true))
+      .catch(() => setSyncError('Hard sync needs AudioWorklet support.'));
+  }, []);
+
+  // --- Update voices ---
+  useEffect(() => {
+    voices.current.configure({ voiceMode, polyphony, voiceSteal, unisonVoices, unisonSpread });
+    syncHeldNotes();
+    // eslint-disable-next-line
+  }, [voiceMode, polyphony, voiceSteal, unisonVoices, unisonSpread]);
+  useEffect(() => {
+    voices.current.setParams({ osc1Type, osc2Type, osc1Detune, osc2Detune, oscMix, osc2Enabled, ...oscSettings, ...envelope });
+    // eslint-disable-next-line
+  }, [syncReady, osc1Type, osc2Type, oscSettings, osc1Detune, osc2Detune, oscMix, osc2Enabled, ampAttack, ampDecay, ampSustain, ampRelease, cutoff, resonance, filterEnvAmount, filterEnvVelocity, filterAttack, filterDecay, filterSustain, filterRelease]);
+
+  // --- Update modulation ---
+  useEffect(() => {
+    modMatrix.current.setSettings({ lfos, modRoutes });
+  }, [lfos, modRoutes]);
+  useEffect(() => {
+    modMatrix.current.setModWheel(modWheel);
+  }, [modWheel]);
+  // Unmodulated values the mod matrix offsets from
+  useEffect(() => {
+    modMatrix.current.setBase(currentPreset());
+  });
+
+  const updateLfo = (idx, changes) => setLfos(l => l.map((lfo, i) => i === idx ? { ...lfo, ...changes } : lfo));
+  const updateModRoute = (idx, changes) => setModRoutes(r => r.map((route, i) => i === idx ? { ...route, ...changes } : route));
+
   // --- Update oscillator types ---
   useEffect(() => {
     if (osc1.current) osc1.current.type = osc1Type;
@@ -206,139 +351,112 @@ export default function App() {
   // --- Update noise levels ---
   useEffect(() => {
     if (whiteGain.current) whiteGain.current.gain.value = whiteLevel / 100;
+    // Synth drums take their noise from here too
     if (whiteNoise.current) {
-      if (whiteLevel > 0) {
+      if (noiseWanted.white) {
         if (whiteNoise.current.state !== 'started') whiteNoise.current.start();
       } else {
         if (whiteNoise.current.state === 'started') whiteNoise.current.stop();
       }
     }
-  }, [whiteLevel]);
+  }, [whiteLevel, noiseWanted.white]);
   useEffect(() => {
     if (pinkGain.current) pinkGain.current.gain.value = pinkLevel / 100;
     if (pinkNoise.current) {
-      if (pinkLevel > 0) {
+      if (noiseWanted.pink) {
         if (pinkNoise.current.state !== 'started') pinkNoise.current.start();
       } else {
         if (pinkNoise.current.state === 'started') pinkNoise.current.stop();
       }
     }
-  }, [pinkLevel]);
+  }, [pinkLevel, noiseWanted.pink]);
   useEffect(() => {
     if (brownGain.current) brownGain.current.gain.value = brownLevel / 100;
     if (brownNoise.current) {
-      if (brownLevel > 0) {
+      if (noiseWanted.brown) {
         if (brownNoise.current.state !== 'started') brownNoise.current.start();
       } else {
         if (brownNoise.current.state === 'started') brownNoise.current.stop();
       }
     }
-  }, [brownLevel]);
+  }, [brownLevel, noiseWanted.brown]);
 
-  // --- Update effects params ---
+  // --- Update effects rack ---
   useEffect(() => {
-    if (reverbNode.current) reverbNode.current.wet.value = reverb / 100;
-  }, [reverb]);
-  useEffect(() => {
-    if (delayNode.current) delayNode.current.wet.value = delay / 100;
-  }, [delay]);
-  useEffect(() => {
-    if (filterNode.current) filterNode.current.frequency.value = 800 + (filter / 100) * 7000;
-  }, [filter]);
-  useEffect(() => {
-    if (distortionNode.current) distortionNode.current.distortion = (distortion / 100) * 1.5;
-  }, [distortion]);
-  useEffect(() => {
-    if (dubNode.current) dubNode.current.wet.value = dub / 100;
-  }, [dub]);
-  useEffect(() => {
-    if (stutterNode.current) stutterNode.current.depth.value = stutter / 100;
-    if (stutterNode.current) stutterNode.current.frequency.value = stutterRate;
-  }, [stutter, stutterRate]);
-  useEffect(() => {
-    if (pitchNode.current) pitchNode.current.pitch = pitch;
-  }, [pitch]);
-  useEffect(() => {
-    if (compressorNode.current) compressorNode.current.threshold.value = compressor;
-  }, [compressor]);
+    const rack = fxChain.current.rack;
+    rack.configure(effects);
+    rack.apply(effects, Tone.now());
+    rack.applySettings(effects);
+  }, [effects]);
+
+  const updateEffect = (id, changes) => setEffects(fx => fx.map(e => (e.id === id ? { ...e, ...changes } : e)));
+  const updateEffectParam = (id, key, value) => setEffects(fx => fx.map(e => (e.id === id ? { ...e, params: { ...e.params, [key]: value } } : e)));
+  const moveEffect = (from, to) => setEffects(fx => {
+    const next = fx.slice();
+    next.splice(to, 0, ...next.splice(from, 1));
+    return next;
+  });
 
   // Octave state
   const [octave, setOctave] = useState(BASE_OCTAVE);
 
-  // Helper: get freq for note name and octave (handles sharps)
+  // Scale, keyboard mapping and reference pitch every note is tuned by (see tuning.js)
+  const [tuning, setTuning] = useState(DEFAULT_TUNING);
+  const tuningRef = useRef(tuning);
+  tuningRef.current = tuning;
+
+  // Helper: get freq for note name and octave (handles sharps); 0 for unknown notes and
+  // keys the tuning leaves silent. Reads the tuning through a ref, as the step player
+  // keeps the first render's getFreq.
   function getFreq(name, octave) {
-    const n = NOTES.find(n => n.name === name);
-    if (!n) return 0;
-    return n.freq * Math.pow(2, octave - 4);
+    const note = midiNoteNumber(name, octave);
+    if (note === null) return 0;
+    return tuningFreq(tuningRef.current, note);
   }
 
-  // Add state for mix and detune
-  const [oscMix, setOscMix] = useState(0.5); // 0 = only osc1, 1 = only osc2
-  const [osc1Detune, setOsc1Detune] = useState(0); // in cents
-  const [osc2Detune, setOsc2Detune] = useState(0); // in cents
-
-  // Add state for enabling/disabling Osc 2
-  const [osc2Enabled, setOsc2Enabled] = useState(true);
+  // MIDI note number to name + octave (voices are keyed by note number)
+  const noteFromNumber = (note) => ({ name: NOTES[note % 12].name, octave: Math.floor(note / 12) - 1 });
+  const syncHeldNotes = () => {
+    setHeldNotes(voices.current.activeNotes().map(n => ({ ...n, ...noteFromNumber(n.note) })));
+  };
 
-  // Play note (add to heldNotes) - always use getFreq for freq
-  const playNote = async (name, velocity = 80) => {
-    if (heldNotes.length >= 4 || heldNotes.find(n => n.name === name)) return;
+  // Play note - always use getFreq for freq.
+  // `time` schedules the note on the audio clock, `octave` overrides the keyboard octave.
+  const playNote = async (name, velocity = 80, { time, octave: noteOctave = octave } = {}) => {
     await Tone.start();
-    const freq = getFreq(name, octave);
+    const freq = getFreq(name, noteOctave);
     if (!freq) return; // don't play if note not found
-    const vel = velocity / 100;
-    // Linear crossfade: osc1 = (1-oscMix), osc2 = oscMix (if enabled)
-    const osc1 = new Tone.Oscillator({ type: osc1Type, frequency: freq, detune: osc1Detune }).start();
-    let osc2, osc2Gain;
-    const osc1Gain = new Tone.Gain((1 - (osc2Enabled ? oscMix : 0)) * vel);
-    osc1.connect(osc1Gain);
-    if (osc2Enabled) {
-      osc2 = new Tone.Oscillator({ type: osc2Type, frequency: freq, detune: osc2Detune }).start();
-      osc2Gain = new Tone.Gain(oscMix * vel);
-      osc2.connect(osc2Gain);
-    }
-    // Mix both into a single gain node for effects chain
-    const noteGain = new Tone.Gain(1);
-    osc1Gain.connect(noteGain);
-    if (osc2Enabled && osc2Gain) osc2Gain.connect(noteGain);
-    noteGain.connect(stutterNode.current);
-    setHeldNotes(notes => [...notes, { name, freq, osc1, osc2, osc1Gain, osc2Gain, gain: noteGain }]);
-  };
-
-  // Stop note (remove from heldNotes)
-  const stopNote = (name) => {
-    setHeldNotes(notes => {
-      const n = notes.find(n => n.name === name);
-      if (n) {
-        n.osc1.stop(); n.osc1.dispose();
-        if (n.osc2) { n.osc2.stop(); n.osc2.dispose(); }
-        if (n.osc1Gain) { n.osc1Gain.disconnect(); n.osc1Gain.dispose(); }
-        if (n.osc2Gain) { n.osc2Gain.disconnect(); n.osc2Gain.dispose(); }
-        n.gain.disconnect(); n.gain.dispose();
-      }
-      return notes.filter(n => n.name !== name);
-    });
+    voices.current.noteOn(midiNoteNumber(name, noteOctave), freq, velocity, time);
+    syncHeldNotes();
+  };
+
+  const stopNote = (name, { time, octave: noteOctave = octave } = {}) => {
+    voices.current.noteOff(midiNoteNumber(name, noteOctave), time);
+    syncHeldNotes();
   };
 
   // Toggle note (for button click)
   const handleNoteClick = (name) => {
-    if (heldNotes.find(n => n.name === name)) {
-      stopNote(name);
-    } else {
-      playNote(name);
-      recordStepIfWrite(name);
-    }
+    if (pressedKeys.current.has(midiNoteNumber(name, octave))) releaseKey(name);
+    else pressKey(name);
   };
 
   // HCF: stop all notes
   const handleHCF = () => {
-    heldNotes.forEach(n => stopNote(n.name));
+    pressedKeys.current.clear();
+    const arpAhead = arp.current.stop();
+    voices.current.allNotesOff();
+    if (arpAhead > Tone.now()) voices.current.allNotesOff(arpAhead);
+    setArpRecording(false);
+    syncHeldNotes();
     setWhiteLevel(0); setPinkLevel(0); setBrownLevel(0);
     if (osc1.current) { try { osc1.current.stop(); osc1.current.dispose(); } catch {} }
     if (osc2.current) { try { osc2.current.stop(); osc2.current.dispose(); } catch {} }
-    if (whiteNoise.current) { try { whiteNoise.current.stop(); } catch {} }
-    if (pinkNoise.current) { try { pinkNoise.current.stop(); } catch {} }
-    if (brownNoise.current) { try { brownNoise.current.stop(); } catch {} }
+    // Noise the synth drums or a mod route still take keeps running, as the levels
+    // going to 0 won't restart it
+    if (whiteNoise.current && !drumSynthOn && !levelModulated('whiteLevel')) { try { whiteNoise.current.stop(); } catch {} }
+    if (pinkNoise.current && !levelModulated('pinkLevel')) { try { pinkNoise.current.stop(); } catch {} }
+    if (brownNoise.current && !levelModulated('brownLevel')) { try { brownNoise.current.stop(); } catch {} }
   };
 
   // Add Restart Audio button handler
@@ -346,27 +464,39 @@ export default function App() {
     if (masterGain.current) masterGain.current.gain.value = 1;
   };
 
-  // Keyboard events for new mapping
-  useEffect(() => {
-    const down = new Set();
-    const handleKeyDown = (e) => {
+  // Keyboard events for new mapping. Keys remember the octave they were pressed in,
+  // so changing octave while holding a key still releases the right note.
+  const keyHandlers = useRef(null);
+  keyHandlers.current = {
+    down(e) {
       const key = e.key.toLowerCase();
       const note = NOTES.find(n => n.key === key);
-      if (note && !down.has(key)) {
-        down.add(key);
-        playNote(note.name);
-        recordStepIfWrite(note.name);
+      if (note) {
+        pressKey(note.name);
+        return octave;
       }
       if ((key === '+' || key === '=') && octave < 7) setOctave(oct => oct + 1);
       if ((key === '-' || key === '_') && octave > 1) setOctave(oct => oct - 1);
+      return null;
+    },
+    up(e, pressedOctave) {
+      const note = NOTES.find(n => n.key === e.key.toLowerCase());
+      if (note) releaseKey(note.name, pressedOctave);
+    },
+  };
+  useEffect(() => {
+    const down = new Map(); // key -> octave it was pressed in
+    const handleKeyDown = (e) => {
+      const key = e.key.toLowerCase();
+      if (down.has(key)) return;
+      const pressedOctave = keyHandlers.current.down(e);
+      if (pressedOctave !== null) down.set(key, pressedOctave);
     };
     const handleKeyUp = (e) => {
       const key = e.key.toLowerCase();
-      const note = NOTES.find(n => n.key === key);
-      if (note) {
-        down.delete(key);
-        stopNote(note.name);
-      }
+      if (!down.has(key)) return;
+      keyHandlers.current.up(e, down.get(key));
+      down.delete(key);
     };
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
@@ -374,46 +504,62 @@ export default function App() {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [octave, osc1Type, osc2Type, heldNotes, osc2Enabled]);
-
-  // Update oscillators on osc1Type/osc2Type change
-  useEffect(() => {
-    heldNotes.forEach(n => { n.osc1.type = osc1Type; n.osc2.type = osc2Type; });
-  }, [osc1Type, osc2Type, heldNotes]);
-
-  // Update held note gains when oscMix or velocity changes
-  useEffect(() => {
-    heldNotes.forEach(n => {
-      if (n.osc1Gain) n.osc1Gain.gain.value = (1 - oscMix) * (n.gain.gain.value);
-      if (n.osc2Gain) n.osc2Gain.gain.value = oscMix * (n.gain.gain.value);
-    });
-  }, [oscMix, heldNotes]);
+  }, []);
 
-  // --- MP3 Recording ---
+  // --- Recording / export ---
   const [recording, setRecording] = useState(false);
-  const [wavUrl, setWavUrl] = useState(null);
+  const [exportFormat, setExportFormat] = useState('wav'); // 'wav' | 'mp3'
+  const [mp3Bitrate, setMp3Bitrate] = useState(192); // kbps
+  const [mp3Stereo, setMp3Stereo] = useState(true);
+  const [exportFile, setExportFile] = useState(null); // { url, name, format }
   const [encoding, setEncoding] = useState(false);
+  const [encodeProgress, setEncodeProgress] = useState(null); // 0-1 while MP3 encoding
   const [recordError, setRecordError] = useState(null);
   const mediaRecorder = useRef(null);
   const recordedChunks = useRef([]);
   const audioDest = useRef(null);
 
-  // Setup MediaStreamDestination and connect to masterGain
+  // Setup MediaStreamDestination and connect to masterGain (and the looper, if it's ready)
   useEffect(() => {
     if (!audioDest.current && masterGain.current) {
       audioDest.current = Tone.context.createMediaStreamDestination();
       masterGain.current.connect(audioDest.current);
+      if (looper.current) looper.current.output.connect(audioDest.current);
     }
     // Cleanup
     return () => {
-      if (audioDest.current) audioDest.current = null;
+      if (audioDest.current) {
+        if (looper.current) looper.current.output.disconnect(audioDest.current);
+        audioDest.current = null;
+      }
     };
   }, [masterGain.current]);
 
+  // Encode a decoded AudioBuffer in the selected export format and offer it for download
+  const exportAudioBuffer = async (audioBuffer, baseName = 'synth-recording') => {
+    if (exportFormat === 'mp3') {
+      setEncodeProgress(0);
+      try {
+        const blob = await encodeMp3(audioBuffer, { bitrate: mp3Bitrate, stereo: mp3Stereo }, setEncodeProgress);
+        setExportFile({ url: URL.createObjectURL(blob), name: `${baseName}.mp3`, format: 'MP3' });
+      } catch {
+        setRecordError('MP3 encoding failed.');
+      }
+      setEncodeProgress(null);
+    } else {
+      try {
+        const wav = encodeWav(audioBuffer);
+        setExportFile({ url: URL.createObjectURL(new Blob([wav], { type: 'audio/wav' })), name: `${baseName}.wav`, format: 'WAV' });
+      } catch {
+        setRecordError('WAV encoding failed.');
+      }
+    }
+  };
+
   // Start/stop recording
   const handleRecord = () => {
     if (!recording) {
-      setWavUrl(null);
+      setExportFile(null);
       setRecordError(null);
       recordedChunks.current = [];
       if (!audioDest.current) return;
@@ -431,19 +577,13 @@ export default function App() {
           let decoded;
           try {
             decoded = await context.decodeAudioData(audioBuffer);
-          } catch (err) {
-            setRecordError('Could not decode audio for WAV encoding. Download raw file below.');
+          } catch {
+            setRecordError(`Could not decode audio for ${exportFormat.toUpperCase()} encoding.`);
             setEncoding(false);
             return;
           }
-          try {
-            const wav = encodeWav(decoded);
-            const url = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
-            setWavUrl(url);
-          } catch (err) {
-            setRecordError('WAV encoding failed.');
-          }
-        } catch (err) {
+          await exportAudioBuffer(decoded);
+        } catch {
           setRecordError('Recording failed.');
         }
         setEncoding(false);
@@ -458,56 +598,6 @@ export default function App() {
     }
   };
 
-  // PCM to WAV encoding (stereo support)
-  function encodeWav(audioBuffer) {
-    const numChannels = audioBuffer.numberOfChannels;
-    const sampleRate = audioBuffer.sampleRate;
-    const format = 1; // PCM
-    const bitDepth = 16;
-    const length = audioBuffer.length * numChannels;
-    const buffer = new ArrayBuffer(44 + length * 2);
-    const view = new DataView(buffer);
-
-    function writeString(view, offset, string) {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
-    }
-
-    writeString(view, 0, 'RIFF');
-    view.setUint32(4, 36 + length * 2, true);
-    writeString(view, 8, 'WAVE');
-    writeString(view, 12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, format, true);
-    view.setUint16(22, numChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * numChannels * bitDepth / 8, true);
-    view.setUint16(32, numChannels * bitDepth / 8, true);
-    view.setUint16(34, bitDepth, true);
-    writeString(view, 36, 'data');
-    view.setUint32(40, length * 2, true);
-    // PCM samples (interleaved for stereo)
-    let offset = 44;
-    if (numChannels === 2) {
-      const left = audioBuffer.getChannelData(0);
-      const right = audioBuffer.getChannelData(1);
-      for (let i = 0; i < audioBuffer.length; i++, offset += 4) {
-        let l = Math.max(-1, Math.min(1, left[i]));
-        let r = Math.max(-1, Math.min(1, right[i]));
-        view.setInt16(offset, l < 0 ? l * 0x8000 : l * 0x7FFF, true);
-        view.setInt16(offset + 2, r < 0 ? r * 0x8000 : r * 0x7FFF, true);
-      }
-    } else {
-      const samples = audioBuffer.getChannelData(0);
-      for (let i = 0; i < samples.length; i++, offset += 2) {
-        let s = Math.max(-1, Math.min(1, samples[i]));
-        view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-      }
-    }
-    return buffer;
-  }
-
   // --- Randomizer ---
   function randomChoice(arr) {
     return arr[Math.floor(Math.random() * arr.length)];
@@ -516,119 +606,122 @@ export default function App() {
     return Math.floor(Math.random() * (max - min + 1)) + min;
   }
   const handleRandomize = () => {
-    setOsc1Type(randomChoice(WAVE_TYPES));
-    if (osc2Enabled) setOsc2Type(randomChoice(WAVE_TYPES));
+    setOsc1Type(randomChoice(OSC_MODES));
+    if (osc2Enabled) setOsc2Type(randomChoice(OSC_MODES));
     setWhiteLevel(randomInt(0, 100));
     setPinkLevel(randomInt(0, 100));
     setBrownLevel(randomInt(0, 100));
-    setReverb(randomInt(0, 100));
-    setDelay(randomInt(0, 100));
-    setFilter(randomInt(0, 100));
-    setDistortion(randomInt(0, 100));
-    setStutter(randomInt(0, 100));
-    setStutterRate(randomInt(1, 32));
-    setPitch(randomInt(-12, 12));
-    setCompressor(randomInt(-60, 0));
+    // Every param of every rack module
+    setEffects(fx => fx.map(e => ({
+      ...e,
+      params: Object.fromEntries(EFFECT_TYPES[e.type].params.map(p => [p.key, p.options ? randomChoice(p.options) : sliderToParam(p, Math.random())])),
+    })));
     // Optionally trigger a random note
     const note = randomChoice(NOTES);
     playNote(note.name);
   };
 
-  // Redesign sequencer state: store per-step data (null if empty, or {state})
-  const [sequencer, setSequencer] = useState(Array(8).fill(null));
+  // Step sequencer patterns: chords with gate, tie and parameter locks (see project/patterns.js)
+  // One pattern per bank (A-H); switching banks while playing waits for the next bar
+  const [seqPatterns, setSeqPatterns] = useState(() => PATTERN_BANKS.map(() => emptySeqPattern()));
+  const [seqBank, setSeqBank] = useState(0);
+  const [seqQueued, setSeqQueued] = useState(null);
+  const sequencer = seqPatterns[seqBank];
+  const setSequencer = (next) => setSeqPatterns(patterns => patterns.map((p, i) => (i === seqBank ? (typeof next === 'function' ? next(p) : next) : p)));
   const [seqPlaying, setSeqPlaying] = useState(false);
   const [seqStep, setSeqStep] = useState(0);
-  const [seqTempo, setSeqTempo] = useState(120);
   const [seqWrite, setSeqWrite] = useState(false);
   const [seqSelectedStep, setSeqSelectedStep] = useState(null);
-  const seqIntervalRef = useRef(null);
+  const [pianoRollOpen, setPianoRollOpen] = useState(false);
 
-  // When [Write] is active and a step is selected, record all actions into that step
-  const recordStep = (idx, state) => {
-    setSequencer(seq => seq.map((step, i) => i === idx ? { ...state } : step));
+  // Edit a step in the shown pattern; steps left without notes or locks become rests
+  const updateSeqStep = (idx, fn) => {
+    setSequencer(seq => seq.map((step, i) => {
+      if (i !== idx) return step;
+      const next = fn(step || newStep());
+      return next && (next.notes.length || Object.keys(next.locks).length) ? next : null;
+    }));
   };
 
-  // When [Write] is on, clicking a step selects it for recording
-  const handleSeqStepClick = idx => {
-    if (seqWrite) setSeqSelectedStep(idx);
+  // While [Write] is on and a step is selected, knob moves lock that step's parameters.
+  // The knobs go back to the sound from before when the step is left.
+  const lockEditBase = useRef(null); // sound when the step was selected
+  const lastSound = useRef(null);
+  const restoringSound = useRef(false);
+  const leaveSeqStep = () => {
+    const base = lockEditBase.current;
+    lockEditBase.current = null;
+    if (!base) return;
+    const sound = currentPreset();
+    const restore = diffLocks(sound, base);
+    if (!Object.keys(restore).length) return;
+    restoringSound.current = true;
+    applyPreset(withLocks(sound, restore));
+  };
+  const selectSeqStep = (idx) => {
+    leaveSeqStep();
+    setSeqSelectedStep(idx);
+    if (idx !== null) lockEditBase.current = currentPreset();
   };
-
-  // When synth state changes and [Write] is on and a step is selected, record it
   useEffect(() => {
-    if (seqWrite && seqSelectedStep !== null) {
-      // Only record if a valid note is held
-      const held = heldNotes[0];
-      const valid = held && NOTES.some(n => n.name === held.name);
-      if (valid) {
-        recordStep(seqSelectedStep, {
-          osc1Type,
-          osc2Type,
-          whiteLevel,
-          pinkLevel,
-          brownLevel,
-          reverb,
-          delay,
-          filter,
-          distortion,
-          dub,
-          stutter,
-          stutterRate,
-          pitch,
-          compressor,
-          note: held.name,
-          velocity: held.gain.gain.value * 100,
-          octave,
-        });
-      } else {
-        // Save as rest (null)
-        recordStep(seqSelectedStep, null);
-      }
+    const sound = currentPreset();
+    const prev = lastSound.current;
+    lastSound.current = sound;
+    if (restoringSound.current) {
+      restoringSound.current = false;
+      return;
     }
+    if (!prev || !seqWrite || seqSelectedStep === null) return;
+    const locks = diffLocks(prev, sound);
+    if (Object.keys(locks).length) updateSeqStep(seqSelectedStep, step => ({ ...step, locks: { ...step.locks, ...locks } }));
     // eslint-disable-next-line
-  }, [osc1Type, osc2Type, whiteLevel, pinkLevel, brownLevel, reverb, delay, filter, distortion, dub, stutter, stutterRate, pitch, compressor, heldNotes, octave]);
+  }, [osc1Type, osc2Type, oscSettings, osc1Detune, osc2Detune, oscMix, osc2Enabled, whiteLevel, pinkLevel, brownLevel, effects, ampAttack, ampDecay, ampSustain, ampRelease, cutoff, resonance, filterEnvAmount, filterEnvVelocity, filterAttack, filterDecay, filterSustain, filterRelease]);
+
+  // When [Write] is on, clicking a step selects it for recording (again to deselect)
+  const handleSeqStepClick = idx => {
+    if (seqWrite) selectSeqStep(seqSelectedStep === idx ? null : idx);
+  };
+  const toggleSeqWrite = () => {
+    if (seqWrite) selectSeqStep(null);
+    setSeqWrite(w => !w);
+  };
+
+  // Sequencer playback, at the step's audio time. Steps don't change React state (besides
+  // the playhead): the step player schedules their notes and locks on the audio nodes.
+  // `idx` is the step's position in the shown pattern.
+  const playSeqStep = (stepData, idx, time) => {
+    atAudioTime(() => setSeqStep(idx), time);
+    const length = stepSeconds();
+    const started = stepPlayer.current.play(stepData, time, length, currentPreset());
+    if (midiOutput) {
+      const duration = stepData && stepData.tie ? length : length * (stepData ? stepData.gate : 0);
+      started.forEach(n => sendNote(midiOutput, seqMidiChannel, n.note, (n.velocity / 100) * 127, time, duration));
+    }
+  };
 
-  // Sequencer playback: play back recorded state for each step
+  // Step sequencer on/off: follows the master transport, starting it if needed
   const handleSeqPlay = () => {
     if (seqPlaying) {
       setSeqPlaying(false);
-      clearInterval(seqIntervalRef.current);
       setSeqStep(0);
+      stepPlayer.current.release();
+      if (seqQueued !== null) selectSeqBank(seqQueued, false);
     } else {
       setSeqPlaying(true);
-      let step = 0;
-      seqIntervalRef.current = setInterval(() => {
-        setSeqStep(s => {
-          const next = (s + 1) % 8;
-          return next;
-        });
-        const stepData = sequencer[step];
-        // Only play if stepData exists and is a valid note
-        if (stepData && stepData.note && NOTES.some(n => n.name === stepData.note)) {
-          setOsc1Type(stepData.osc1Type);
-          setOsc2Type(stepData.osc2Type);
-          setWhiteLevel(stepData.whiteLevel);
-          setPinkLevel(stepData.pinkLevel);
-          setBrownLevel(stepData.brownLevel);
-          setReverb(stepData.reverb);
-          setDelay(stepData.delay);
-          setFilter(stepData.filter);
-          setDistortion(stepData.distortion);
-          setDub(stepData.dub);
-          setStutter(stepData.stutter);
-          setStutterRate(stepData.stutterRate);
-          setPitch(stepData.pitch);
-          setCompressor(stepData.compressor);
-          setOctave(stepData.octave);
-          playNote(stepData.note, stepData.velocity);
-        }
-        step = (step + 1) % 8;
-      }, (60 / seqTempo) * 1000);
+      startTransport();
+      setTransportState('started');
     }
   };
 
-  useEffect(() => {
-    return () => { clearInterval(seqIntervalRef.current); };
-  }, []);
+  const selectSeqBank = (bank, queue = seqPlaying && transportState === 'started') => {
+    if (queue) {
+      setSeqQueued(bank === seqBank ? null : bank);
+      return;
+    }
+    setSeqBank(bank);
+    setSeqQueued(null);
+    selectSeqStep(null);
+  };
 
   // UI: note buttons (remove '-')
   const noteButtons = NOTE_NAMES.map((name, idx) => (
@@ -682,112 +775,785 @@ export default function App() {
   const whiteNotes = NOTES.filter(n => WHITE_NAMES.includes(n.name));
   const blackNotes = NOTES.filter(n => BLACK_NAMES.includes(n.name));
 
-  // Fix sequencer recording: record note when played in [Write] mode and a step is selected
-  const recordStepIfWrite = (noteName) => {
-    if (seqWrite && seqSelectedStep !== null && NOTES.some(n => n.name === noteName)) {
-      recordStep(seqSelectedStep, {
-        osc1Type,
-        osc2Type,
-        whiteLevel,
-        pinkLevel,
-        brownLevel,
-        reverb,
-        delay,
-        filter,
-        distortion,
-        dub,
-        stutter,
-        stutterRate,
-        pitch,
-        compressor,
-        note: noteName,
-        velocity: 80, // default velocity for click/keyboard
-        octave,
-      });
+  // Notes played in [Write] mode are added to the selected step's chord
+  const recordStepIfWrite = (noteName, velocity = 80, noteOctave = octave) => {
+    if (!seqWrite || seqSelectedStep === null || !NOTES.some(n => n.name === noteName)) return;
+    updateSeqStep(seqSelectedStep, step => {
+      if (step.notes.some(n => n.note === noteName && n.octave === noteOctave) || step.notes.length >= MAX_STEP_NOTES) return step;
+      return { ...step, notes: [...step.notes, { note: noteName, octave: noteOctave, velocity }] };
+    });
+  };
+
+  // --- Performance: scale lock, chord mode and arpeggiator between the keys and the voices ---
+  const [performSettings, setPerformSettings] = useState(DEFAULT_PERFORMANCE);
+  const [arpRecording, setArpRecording] = useState(false);
+  const pressedKeys = useRef(new Map()); // MIDI note of a held key -> { notes, velocity, arp }
+  const arp = useRef(null);
+
+  // Held keys the arp plays, in the order they were pressed; holding one starts the transport
+  const updateArp = () => {
+    const held = [...pressedKeys.current.values()].filter(k => k.arp);
+    arp.current.setNotes(held.flatMap(k => k.notes.map(note => ({ note, velocity: k.velocity }))));
+    if (held.length && transportState !== 'started') {
+      startTransport();
+      setTransportState('started');
+    }
+  };
+
+  // A key goes down: play what the performance settings make of it (or hand it to the arp)
+  const pressKey = (name, velocity = 80, noteOctave = octave) => {
+    const source = midiNoteNumber(name, noteOctave);
+    if (source === null || pressedKeys.current.has(source)) return;
+    const notes = performNotes(source, performSettings);
+    pressedKeys.current.set(source, { notes, velocity, arp: performSettings.arp.enabled });
+    if (performSettings.arp.enabled) {
+      updateArp();
+      return;
+    }
+    notes.forEach(note => {
+      const n = noteFromNumber(note);
+      playNote(n.name, velocity, { octave: n.octave });
+      recordStepIfWrite(n.name, velocity, n.octave);
+    });
+  };
+
+  // Notes another held key still plays keep sounding
+  const releaseKey = (name, noteOctave = octave) => {
+    const source = midiNoteNumber(name, noteOctave);
+    const pressed = pressedKeys.current.get(source);
+    if (!pressed) return;
+    pressedKeys.current.delete(source);
+    if (pressed.arp) {
+      updateArp();
+      return;
     }
+    const still = [...pressedKeys.current.values()].filter(k => !k.arp).flatMap(k => k.notes);
+    pressed.notes.filter(note => !still.includes(note)).forEach(note => stopNote(noteFromNumber(note).name, noteFromNumber(note)));
   };
 
+  // While recording, the first arp note of each step replaces that step's notes in the
+  // playing pattern (its locks stay)
+  const recordArpNote = (note, velocity, time, duration) => {
+    if (!seqPlaying || songFollowing) return;
+    const { name, octave: noteOctave } = noteFromNumber(note);
+    if (noteOctave < 1 || noteOctave > 7) return;
+    const position = stepAtTime(time);
+    const step = Math.floor(position + 0.001);
+    const rateSteps = Tone.Time(performSettings.arp.rate).toSeconds() / stepSeconds();
+    if (position - step >= rateSteps - 0.001) return;
+    const idx = (step - seqStartRef.current) % sequencer.length;
+    if (idx < 0) return;
+    const gate = Math.max(MIN_GATE, Math.min(1, duration / stepSeconds()));
+    updateSeqStep(idx, s => ({ ...s, notes: [{ note: name, octave: noteOctave, velocity }], gate, tie: false }));
+  };
+
+  // The arp is created once; this ref always points at the latest render's handler
+  const onArpNoteRef = useRef(null);
+  onArpNoteRef.current = (note, velocity, time, duration) => {
+    const { name, octave: noteOctave } = noteFromNumber(note);
+    const freq = getFreq(name, noteOctave);
+    if (!freq) return;
+    voices.current.noteOn(note, freq, velocity, time);
+    voices.current.noteOff(note, time + duration);
+    atAudioTime(syncHeldNotes, time);
+    if (arpRecording) recordArpNote(note, velocity, time, duration);
+  };
+  useEffect(() => {
+    arp.current = createArpeggiator((...args) => onArpNoteRef.current(...args));
+    return () => arp.current.dispose();
+  }, []);
+  useEffect(() => {
+    arp.current.setSettings(performSettings.arp);
+    if (!performSettings.arp.enabled) setArpRecording(false);
+  }, [performSettings.arp]);
+
   // Drum sequencer state (move inside App)
-  const [drumSteps, setDrumSteps] = useState(
-    () => Array(DRUMS.length).fill().map(() => Array(8).fill(false))
-  );
+  // One pattern per bank (A-H), every row with its own length
+  const [drumPatterns, setDrumPatterns] = useState(() => PATTERN_BANKS.map(() => toDrumPattern()));
+  const [drumBank, setDrumBank] = useState(0);
+  const [drumQueued, setDrumQueued] = useState(null);
+  const drumSteps = drumPatterns[drumBank];
+  const setDrumSteps = (next) => setDrumPatterns(patterns => patterns.map((p, i) => (i === drumBank ? (typeof next === 'function' ? next(p) : next) : p)));
   const [drumPlaying, setDrumPlaying] = useState(false);
-  const [drumStep, setDrumStep] = useState(0);
-  const [drumTempo, setDrumTempo] = useState(120);
-  const drumIntervalRef = useRef(null);
-  const drumPlayersRef = useRef(null);
+  const [drumStep, setDrumStep] = useState(0); // steps since the pattern started; each row wraps it by its length
+  const [drumPage, setDrumPage] = useState(0);
+  const drumPageCount = Math.ceil(Math.max(...drumSteps.map(r => r.length)) / DRUM_PAGE_SIZE);
+  const visibleDrumPage = Math.min(drumPage, drumPageCount - 1);
+  const [selectedDrumStep, setSelectedDrumStep] = useState(null); // { row, col } open in the step editor
+  const drumMachineRef = useRef(null); // players and channel strips
 
   // Add drum volume state
   const [drumVolume, setDrumVolume] = useState(0.8); // 0.0 to 1.0
 
-  // Add state for drums through FX
-  const [drumsThroughFX, setDrumsThroughFX] = useState(false);
+  // Channel strips by row key (volume, pan, mute, solo, tune, FX send)
+  const [drumMixer, setDrumMixer] = useState(DEFAULT_DRUM_MIXER);
+
+  // Kit sounds, replaced per row by user samples ({ [row key]: { id, name } })
+  const [drumKit, setDrumKit] = useState(DEFAULT_KIT);
+  const [drumSamples, setDrumSamples] = useState({});
+  const [drumError, setDrumError] = useState(null);
+  const drumBuffersRef = useRef({}); // loaded ToneAudioBuffers by row key
+  const drumLoadsRef = useRef(Promise.resolve()); // settles when the rows' sounds are loaded
 
-  // Setup drum players on mount and when FX routing changes
+  // Setup the drum machine on mount and when the master chain is rebuilt
   useEffect(() => {
-    drumPlayersRef.current = {};
-    DRUMS.forEach(d => {
-      const player = new Tone.Player(d.url);
-      // Connect based on toggle
-      if (drumsThroughFX && stutterNode.current) {
-        player.connect(stutterNode.current);
-      } else if (masterGain.current) {
-        player.connect(masterGain.current);
-      } else {
-        player.toDestination(); // fallback if masterGain/master FX not ready
-      }
-      player.volume.value = 20 * Math.log10(drumVolume || 0.0001); // convert linear to dB
-      drumPlayersRef.current[d.name] = player;
+    const machine = createDrumMachine(masterGain.current, fxInput.current, whiteNoise.current);
+    DRUM_ROWS.forEach(d => {
+      if (drumBuffersRef.current[d.key]) machine.setBuffer(d.key, drumBuffersRef.current[d.key]);
     });
-    return () => {
-      Object.values(drumPlayersRef.current).forEach(p => p.dispose());
-    };
+    machine.setMix(drumMixer, drumVolume);
+    machine.setSynth(drumSynth);
+    drumMachineRef.current = machine;
+    return () => machine.dispose();
   // eslint-disable-next-line
-  }, [drumsThroughFX, stutterNode.current, masterGain.current]);
+  }, [fxInput.current, masterGain.current]);
 
-  // Update drum player volumes when drumVolume changes
+  // Load every row's sound; a stored sample that's gone falls back to the kit
   useEffect(() => {
-    if (drumPlayersRef.current) {
-      Object.values(drumPlayersRef.current).forEach(player => {
-        if (player && player.volume) player.volume.value = 20 * Math.log10(drumVolume || 0.0001);
-      });
+    let cancelled = false;
+    drumLoadsRef.current = Promise.all(DRUM_ROWS.map(d => {
+      const sample = drumSamples[d.key];
+      const load = sample
+        ? loadSample(sample.id).then(record => {
+          if (!record) throw new Error(`Sample ${sample.id} not found`);
+          return decodeSample(record.data);
+        })
+        : renderKitSound(drumKit, d.key);
+      return load
+        .catch(() => renderKitSound(drumKit, d.key))
+        .then(buffer => {
+          if (cancelled) return;
+          drumBuffersRef.current[d.key] = buffer;
+          drumMachineRef.current?.setBuffer(d.key, buffer);
+        })
+        .catch(() => {});
+    }));
+    return () => { cancelled = true; };
+  }, [drumKit, drumSamples]);
+
+  // A dropped audio file becomes the row's sound and is kept in browser storage
+  const handleDrumSampleDrop = async (e, row) => {
+    e.preventDefault();
+    e.stopPropagation(); // not a project file
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    setDrumError(null);
+    if (!file.type.startsWith('audio/') && !AUDIO_FILE.test(file.name)) {
+      setDrumError(`${file.name} is not an audio file.`);
+      return;
+    }
+    try {
+      const data = await file.arrayBuffer();
+      await decodeSample(data); // reject undecodable files before storing them
+      const id = await saveSample({ name: file.name, data });
+      setDrumSamples(samples => ({ ...samples, [row.key]: { id, name: file.name } }));
+    } catch {
+      setDrumError(`Could not load ${file.name}.`);
     }
-  }, [drumVolume]);
+  };
 
+  const resetDrumSample = (row) => {
+    setDrumSamples(samples => {
+      const next = { ...samples };
+      delete next[row.key];
+      return next;
+    });
+  };
+
+  // Update the channel strips when the mix or drum volume changes
+  useEffect(() => {
+    drumMachineRef.current?.setMix(drumMixer, drumVolume);
+  }, [drumMixer, drumVolume]);
+  useEffect(() => {
+    drumMachineRef.current?.setSynth(drumSynth);
+  }, [drumSynth]);
+
+  // Click toggles a step; shift-click (or right-click) opens it in the step editor
   const handleDrumToggle = (row, col) => {
-    setDrumSteps(steps => steps.map((r, i) => i === row ? r.map((v, j) => j === col ? !v : v) : r));
+    setDrumSteps(steps => steps.map((r, i) => i === row ? r.map((v, j) => j === col ? (v ? null : DEFAULT_DRUM_STEP) : v) : r));
+  };
+  const selectDrumStep = (row, col) => {
+    if (!drumSteps[row][col]) handleDrumToggle(row, col);
+    setSelectedDrumStep({ row, col });
+  };
+  const updateDrumStep = (row, col, changes) => {
+    setDrumSteps(steps => steps.map((r, i) => i === row ? r.map((v, j) => j === col && v ? { ...v, ...changes } : v) : r));
+  };
+  const updateDrumChannel = (key, changes) => {
+    setDrumMixer(mixer => ({ ...mixer, [key]: { ...mixer[key], ...changes } }));
+  };
+  const [synthDrumRow, setSynthDrumRow] = useState(null); // row key open in the synth voice editor
+  const updateDrumSynth = (key, changes) => {
+    setDrumSynth(settings => ({ ...settings, [key]: { ...settings[key], ...changes } }));
   };
 
-  // Add a ref to always have the latest drumSteps
-  const drumStepsRef = useRef(drumSteps);
-  useEffect(() => { drumStepsRef.current = drumSteps; }, [drumSteps]);
+  // `step` counts from the pattern start; hits pulled early are scheduled a step ahead
+  // unless the pattern changes (`pullNext`). `display` is the playhead to show.
+  const playDrumStep = (rows, step, display, time, pullNext) => {
+    const sw = swing / 100;
+    const stepTime = (n) => time + (n - step) * stepSeconds() + swingOffset(n, sw) - swingOffset(step, sw);
+    DRUM_ROWS.forEach((d, i) => {
+      const audible = channelGain(drumMixer, d.key) > 0;
+      drumHitsAt(rows[i], step, stepTime, stepSeconds(), pullNext).forEach(hit => {
+        drumMachineRef.current?.trigger(d.key, hit.time, hit.velocity);
+        if (midiOutput && audible) sendNote(midiOutput, drumMidiChannel, d.midiNote, (hit.velocity / 100) * 127, hit.time, 0.05);
+      });
+    });
+    atAudioTime(() => setDrumStep(display), time); // set visual to match audio
+  };
 
+  const selectDrumBank = (bank, queue = drumPlaying && transportState === 'started') => {
+    if (queue) {
+      setDrumQueued(bank === drumBank ? null : bank);
+      return;
+    }
+    setDrumBank(bank);
+    setDrumQueued(null);
+    setSelectedDrumStep(null);
+  };
+  const setDrumRowLength = (row, length) => {
+    setDrumSteps(rows => rows.map((r, i) => (i === row ? resizeTrack(r, length) : r)));
+  };
+
+  // Drum sequencer on/off: follows the master transport, starting it if needed
   const handleDrumPlay = () => {
     if (drumPlaying) {
       setDrumPlaying(false);
-      clearInterval(drumIntervalRef.current);
       setDrumStep(0);
+      if (drumQueued !== null) selectDrumBank(drumQueued, false);
     } else {
       setDrumPlaying(true);
-      let step = 0;
-      drumIntervalRef.current = setInterval(() => {
-        DRUMS.forEach((d, i) => {
-          if (drumStepsRef.current[i][step]) {
-            drumPlayersRef.current[d.name]?.start();
-          }
-        });
-        setDrumStep(step); // set visual to match audio
-        step = (step + 1) % 8;
-      }, (60 / drumTempo) * 1000);
+      startTransport();
+      setTransportState('started');
+    }
+  };
+
+  // --- Offline bounce ---
+  const [bounceBars, setBounceBars] = useState(2);
+  const handleBounce = async () => {
+    setExportFile(null);
+    setRecordError(null);
+    setEncoding(true);
+    // In song mode the whole arrangement is rendered once
+    const playSong = songMode && song.length > 0;
+    const bars = playSong ? songTimeline.sequencer.length / STEPS_PER_BAR : bounceBars;
+    const pattern = playSong ? songTimeline : { sequencer, drumSteps };
+    try {
+      // Rows still loading (and their kit renders) finish first
+      await drumLoadsRef.current;
+      const rendered = await bouncePattern({
+        bars,
+        bpm,
+        swing: swing / 100,
+        params: currentPreset(),
+        sequencer: pattern.sequencer,
+        drums: DRUM_ROWS
+          .map((d, i) => ({ key: d.key, buffer: drumBuffersRef.current[d.key], steps: pattern.drumSteps[i] }))
+          .filter(d => d.buffer || drumSynth[d.key].source === 'synth'),
+        drumMixer,
+        drumVolume,
+        drumSynth,
+        getFreq,
+      });
+      await exportAudioBuffer(rendered, playSong ? 'drnklb-song' : `drnklb-bounce-${bounceBars}bars`);
+    } catch {
+      setRecordError('Bounce failed.');
     }
+    setEncoding(false);
   };
 
+  // --- Master transport ---
+  const [bpm, setBpm] = useState(120);
+  const [swing, setSwing] = useState(0); // 0-100
+  const [transportState, setTransportState] = useState('stopped');
+  useEffect(() => {
+    setTransportBpm(bpm);
+    // Tempo-synced delays follow the new tempo
+    fxChain.current.rack.apply(effects, Tone.now());
+    // eslint-disable-next-line
+  }, [bpm]);
+
+  // --- Song mode: chain pattern pairs with repeat counts ---
+  const [songMode, setSongMode] = useState(false);
+  const [song, setSong] = useState([]); // [{ seq, drums, repeats }], bank indexes
+  const [songIndex, setSongIndex] = useState(null); // playing entry
+  // While a song plays it picks the banks
+  const songFollowing = songMode && song.length > 0 && transportState === 'started' && (seqPlaying || drumPlaying);
+  const songTimeline = useMemo(() => flattenSong(song, seqPatterns, drumPatterns), [song, seqPatterns, drumPatterns]);
+  const updateSongEntry = (idx, changes) => setSong(entries => entries.map((e, i) => (i === idx ? { ...e, ...changes } : e)));
+  const moveSongEntry = (idx, by) => setSong(entries => {
+    const to = idx + by;
+    if (to < 0 || to >= entries.length) return entries;
+    const next = entries.slice();
+    [next[idx], next[to]] = [next[to], next[idx]];
+    return next;
+  });
+
+  // --- Looper: records the master output in takes of whole bars, layered on the transport ---
+  const looper = useRef(null);
+  const [looperError, setLooperError] = useState(null);
+  const [loopBars, setLoopBars] = useState(2);
+  const [loopLayers, setLoopLayers] = useState([]); // see audio/looper.js
+  const [loopStatus, setLoopStatus] = useState(null); // null | 'armed' | 'recording'
+  const [loopHalfSpeed, setLoopHalfSpeed] = useState(false);
+  const [loopReverse, setLoopReverse] = useState(false);
+  const [loopLevel, setLoopLevel] = useState(1);
+  const nextLayerId = useRef(1);
   useEffect(() => {
-    return () => { clearInterval(drumIntervalRef.current); };
+    let disposed = false;
+    createLooper(masterGain.current, Tone.getDestination())
+      .then(created => {
+        if (disposed) {
+          created.dispose();
+          return;
+        }
+        looper.current = created;
+        // Loops go into recordings, but not back into the looper; a recording
+        // destination set up later connects it itself
+        if (audioDest.current) created.output.connect(audioDest.current);
+      })
+      .catch(() => setLooperError('The looper needs AudioWorklet support.'));
+    return () => {
+      disposed = true;
+      if (looper.current) looper.current.dispose();
+      looper.current = null;
+    };
+  }, []);
+  useEffect(() => {
+    if (looper.current) looper.current.setLevel(loopLevel);
+  }, [loopLevel]);
+
+  // Record arms a take; it starts on the next bar line and lasts `loopBars` bars (twice that at half speed)
+  const handleLoopRecord = async () => {
+    if (loopStatus) {
+      looper.current.cancel();
+      setLoopStatus(null);
+      return;
+    }
+    setLoopStatus('armed');
+    await startTransport();
+    setTransportState('started');
+  };
+  const undoLoopLayer = () => {
+    const last = loopLayers[loopLayers.length - 1];
+    if (!last) return;
+    looper.current.removeLayer(last.id);
+    setLoopLayers(layers => layers.slice(0, -1));
+  };
+  const clearLoop = () => {
+    loopLayers.forEach(layer => looper.current.removeLayer(layer.id));
+    setLoopLayers([]);
+  };
+  const toggleLoopMute = (id) => {
+    const layer = loopLayers.find(l => l.id === id);
+    if (!layer.muted) looper.current.mute(id);
+    setLoopLayers(layers => layers.map(l => (l.id === id ? { ...l, muted: !l.muted } : l)));
+  };
+  const setLoopPlayback = (halfSpeed, reverse) => {
+    setLoopHalfSpeed(halfSpeed);
+    setLoopReverse(reverse);
+    if (looper.current) looper.current.restart();
+  };
+  const stopLoop = () => {
+    if (!looper.current) return;
+    looper.current.stop();
+    if (loopStatus) looper.current.cancel();
+    setLoopStatus(null);
+  };
+
+  const playLoopStep = (step, time) => {
+    if (!looper.current) return;
+    const speed = loopHalfSpeed ? 0.5 : 1;
+    if (loopStatus === 'armed' && step % STEPS_PER_BAR === 0) {
+      const layer = { id: nextLayerId.current++, startStep: step, steps: (loopBars * STEPS_PER_BAR) / speed, speed, reversed: loopReverse, muted: false };
+      const seconds = layer.steps * stepSeconds();
+      setLoopStatus('recording');
+      looper.current.record(time, seconds).then(buffer => {
+        if (!buffer || !looper.current) return;
+        looper.current.addLayer(layer.id, buffer, time + seconds);
+        setLoopLayers(layers => [...layers, layer]);
+        setLoopStatus(null);
+      });
+    }
+    looper.current.step(loopLayers, step, time, stepSeconds(), { speed, reverse: loopReverse });
+  };
+
+  // Where each sequencer's current pattern, and the song, started (transport steps)
+  const seqStartRef = useRef(0);
+  const drumStartRef = useRef(0);
+  const songStartRef = useRef(null); // null: song mode waits for the next bar line
+  useEffect(() => {
+    songStartRef.current = null;
+    if (!songMode) setSongIndex(null);
+  }, [songMode]);
+
+  const playSongStep = (songStep, time) => {
+    const { index, offset } = songPosition(song, seqPatterns, drumPatterns, songStep);
+    const entry = song[index];
+    const seqPattern = seqPatterns[entry.seq];
+    if (seqPlaying) playSeqStep(songTimeline.sequencer[songStep % songTimeline.sequencer.length], offset % seqPattern.length, time);
+    if (drumPlaying) playDrumStep(songTimeline.drumSteps, songStep, offset, time, true);
+    // The editors follow the arrangement
+    atAudioTime(() => {
+      setSongIndex(index);
+      setSeqBank(entry.seq);
+      setDrumBank(entry.drums);
+    }, time);
+  };
+
+  // The step clock is scheduled once; this ref always points at the latest render's handlers
+  const onStepRef = useRef(null);
+  onStepRef.current = (step, time) => {
+    const barLine = step % STEPS_PER_BAR === 0;
+    if (step === 0) {
+      seqStartRef.current = 0;
+      drumStartRef.current = 0;
+      songStartRef.current = null;
+    }
+    playLoopStep(step, time);
+    if (songMode && song.length) {
+      if (songStartRef.current === null && barLine) songStartRef.current = step;
+      if (songStartRef.current !== null) {
+        playSongStep(step - songStartRef.current, time);
+        return;
+      }
+    }
+    // Queued pattern switches land on the bar line, and the new pattern starts from its first step
+    let seqPattern = sequencer;
+    if (barLine && seqQueued !== null) {
+      seqPattern = seqPatterns[seqQueued];
+      seqStartRef.current = step;
+      selectSeqBank(seqQueued, false);
+    }
+    let drumPattern = drumSteps;
+    if (barLine && drumQueued !== null) {
+      drumPattern = drumPatterns[drumQueued];
+      drumStartRef.current = step;
+      selectDrumBank(drumQueued, false);
+    }
+    if (seqPlaying) {
+      const idx = (step - seqStartRef.current) % seqPattern.length;
+      playSeqStep(seqPattern[idx], idx, time);
+    }
+    if (drumPlaying) {
+      const local = step - drumStartRef.current;
+      const switching = drumQueued !== null && (step + 1) % STEPS_PER_BAR === 0;
+      playDrumStep(drumPattern, local, local, time, !switching);
+    }
+  };
+  const swingRef = useRef(swing);
+  swingRef.current = swing;
+  useEffect(() => {
+    const clear = scheduleSteps((step, time) => onStepRef.current(step, time), () => swingRef.current / 100);
+    return () => { clear(); stopTransport(); };
   }, []);
 
+  // --- Local persistence (IndexedDB) ---
+  const [library, setLibrary] = useState([]);
+  const [sessionRestored, setSessionRestored] = useState(false);
+
+  // Restore the last session once, before autosave may overwrite it
+  useEffect(() => {
+    const keys = ['presets', 'sequencer', 'drumSteps', 'seqPatterns', 'drumPatterns', 'song', 'drumKit', 'drumSamples', 'drumMixer', 'drumSynth', 'tuning', 'performance'];
+    Promise.all([...keys.map(loadSession), listLibrary()])
+      .then(([savedPresets, savedSequencer, savedDrumSteps, savedSeqPatterns, savedDrumPatterns, savedSong, savedKit, savedSamples, savedMixer, savedDrumSynth, savedTuning, savedPerformance, entries]) => {
+        if (savedPresets) setPresets(savedPresets.map(toPreset));
+        // Sessions from before pattern banks only have bank A
+        const seqBanks = savedSeqPatterns || (savedSequencer && [savedSequencer]);
+        if (seqBanks) setSeqPatterns(PATTERN_BANKS.map((_, i) => toSeqPattern(seqBanks[i])));
+        const drumBanks = savedDrumPatterns || (savedDrumSteps && [savedDrumSteps]);
+        if (drumBanks) setDrumPatterns(PATTERN_BANKS.map((_, i) => toDrumPattern(drumBanks[i])));
+        if (savedSong) setSong(sanitizeSong(savedSong));
+        if (DRUM_KITS.some(k => k.key === savedKit)) setDrumKit(savedKit);
+        if (savedSamples) setDrumSamples(sanitizeDrumSamples(savedSamples));
+        if (savedMixer) setDrumMixer(sanitizeDrumMixer(savedMixer));
+        if (savedDrumSynth) setDrumSynth(sanitizeDrumSynth(savedDrumSynth));
+        if (savedTuning) setTuning(sanitizeTuning(savedTuning));
+        if (savedPerformance) setPerformSettings(sanitizePerformance(savedPerformance));
+        setLibrary(entries);
+      })
+      .catch(() => {}) // no IndexedDB: run without persistence
+      .finally(() => setSessionRestored(true));
+  }, []);
+
+  // Autosave, debounced so dragging a knob doesn't write on every change
+  useEffect(() => {
+    if (!sessionRestored) return;
+    const timer = setTimeout(() => {
+      saveSession('presets', presets).catch(() => {});
+      saveSession('seqPatterns', seqPatterns).catch(() => {});
+      saveSession('drumPatterns', drumPatterns).catch(() => {});
+      saveSession('song', song).catch(() => {});
+      saveSession('drumKit', drumKit).catch(() => {});
+      saveSession('drumSamples', drumSamples).catch(() => {});
+      saveSession('drumMixer', drumMixer).catch(() => {});
+      saveSession('drumSynth', drumSynth).catch(() => {});
+      saveSession('tuning', tuning).catch(() => {});
+      saveSession('performance', performSettings).catch(() => {});
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [sessionRestored, presets, seqPatterns, drumPatterns, song, drumKit, drumSamples, drumMixer, drumSynth, tuning, performSettings]);
+
+  const refreshLibrary = () => listLibrary().then(setLibrary).catch(() => {});
+  const [libraryError, setLibraryError] = useState(null);
+  const handleLibrarySave = async (name, tags) => {
+    setLibraryError(null);
+    try {
+      await saveLibraryEntry({ name, tags, preset: currentPreset() });
+      refreshLibrary();
+    } catch {
+      setLibraryError(`Could not save "${name}" to the library.`);
+    }
+  };
+  const handleLibraryDelete = async (id) => {
+    setLibraryError(null);
+    try {
+      await deleteLibraryEntry(id);
+      refreshLibrary();
+    } catch {
+      setLibraryError('Could not delete the sound from the library.');
+    }
+  };
+  const handleLibraryLoad = (entry) => {
+    applyPreset(toPreset(entry.preset));
+    setActivePreset(null);
+    setComparedEdit(null);
+  };
+  // Put a library sound on one of the 8 quick slots used by handlePresetClick
+  const handleLibraryAssign = (entry, slot) => {
+    setPresets(ps => ps.map((p, i) => (i === slot ? toPreset(entry.preset) : p)));
+  };
+
+  // --- MIDI input ---
+  const [midiAccess, setMidiAccess] = useState(null);
+  const [midiInputs, setMidiInputs] = useState([]);
+  const [midiInputId, setMidiInputId] = useState(ALL_INPUTS);
+  const [midiError, setMidiError] = useState(null);
+  const [midiMappings, setMidiMappings] = useState([]); // [{ cc, param }]
+  const [midiLearnTarget, setMidiLearnTarget] = useState(LEARNABLE_PARAMS[0].key);
+  const [midiLearning, setMidiLearning] = useState(false);
+  const sustain = useRef({ down: false, pending: new Set() });
+  // Clock sync and output
+  const [midiOutputs, setMidiOutputs] = useState([]);
+  const [midiOutputId, setMidiOutputId] = useState(NO_OUTPUT);
+  const [midiClockSource, setMidiClockSource] = useState('internal'); // 'internal' | 'midi' (follow incoming clock)
+  const [midiSendClock, setMidiSendClock] = useState(true);
+  const [seqMidiChannel, setSeqMidiChannel] = useState(1);
+  const [drumMidiChannel, setDrumMidiChannel] = useState(10);
+  const clockFollower = useRef(createClockFollower());
+  const midiOutput = midiAccess && midiOutputId !== NO_OUTPUT ? midiAccess.outputs.get(midiOutputId) || null : null;
+
+  // `access` can be a mock MIDIAccess; by default the browser is asked for one
+  const handleMidiEnable = async (access) => {
+    setMidiError(null);
+    try {
+      const granted = access || await requestMidiAccess();
+      setMidiInputs(listInputs(granted));
+      setMidiOutputs(listOutputs(granted));
+      setMidiAccess(granted);
+    } catch (err) {
+      setMidiError(err.message || 'MIDI access was denied.');
+    }
+  };
+
+  // Slider setters a learned CC can drive
+  // Effect params drive the first rack module of their type
+  const setFirstEffectParam = (type, key) => (value) => setEffects(fx => {
+    const first = fx.find(e => e.type === type);
+    return fx.map(e => (e === first ? { ...e, params: { ...e.params, [key]: value } } : e));
+  });
+  const midiParamSetters = {
+    filter: v => setFirstEffectParam('filter', 'frequency')(sliderToParam(findEffectParam('filter', 'frequency'), v / 100)), reverb: setFirstEffectParam('reverb', 'wet'),
+    delay: setFirstEffectParam('delay', 'wet'), dub: setFirstEffectParam('dub', 'wet'),
+    distortion: setFirstEffectParam('distortion', 'amount'), stutter: setFirstEffectParam('stutter', 'depth'),
+    stutterRate: setFirstEffectParam('stutter', 'rate'), pitch: setFirstEffectParam('pitch', 'pitch'),
+    compressor: setFirstEffectParam('compressor', 'threshold'),
+    oscMix: setOscMix, osc1Detune: setOsc1Detune, osc2Detune: setOsc2Detune,
+    osc1Position: oscSetters.osc1Position, osc2Position: oscSetters.osc2Position,
+    osc2Coarse: oscSetters.osc2Coarse, subLevel: oscSetters.subLevel, ringLevel: oscSetters.ringLevel,
+    whiteLevel: setWhiteLevel, pinkLevel: setPinkLevel, brownLevel: setBrownLevel,
+    drumVolume: setDrumVolume, bpm: setBpm, swing: setSwing,
+  };
+
+  const handleMidiEvent = (e) => {
+    if (['clock', 'start', 'continue', 'stop'].includes(e.type)) {
+      if (midiClockSource === 'midi') handleMidiClock(e);
+    } else if (e.type === 'noteon') {
+      const { name, octave: noteOctave } = noteFromNumber(e.note);
+      // A key the pedal holds is struck again: let go of it so it retriggers
+      if (sustain.current.pending.delete(e.note)) releaseKey(name, noteOctave);
+      const velocity = Math.round((e.velocity / 127) * 100);
+      pressKey(name, velocity, noteOctave);
+    } else if (e.type === 'noteoff') {
+      // Held by the sustain pedal until it is released
+      if (sustain.current.down) sustain.current.pending.add(e.note);
+      else releaseKey(noteFromNumber(e.note).name, noteFromNumber(e.note).octave);
+    } else if (e.type === 'pitchbend') {
+      voices.current.setPitchBend(e.bend * PITCH_BEND_RANGE * 100);
+    } else if (e.type === 'cc' && e.controller === SUSTAIN_CC) {
+      sustain.current.down = e.value >= 64;
+      if (!sustain.current.down) {
+        sustain.current.pending.forEach(note => releaseKey(noteFromNumber(note).name, noteFromNumber(note).octave));
+        sustain.current.pending.clear();
+      }
+    } else if (e.type === 'cc' && e.controller === MOD_WHEEL_CC) {
+      setModWheel(e.value / 127);
+    } else if (e.type === 'cc' && midiLearning) {
+      setMidiMappings(m => addMapping(m, e.controller, midiLearnTarget));
+      setMidiLearning(false);
+    } else if (e.type === 'cc') {
+      const mapping = midiMappings.find(m => m.cc === e.controller);
+      if (mapping) midiParamSetters[mapping.param](ccToValue(findLearnableParam(mapping.param), e.value));
+    }
+  };
+  // Follow an external MIDI clock: tempo from the pulse rate, start/stop/continue drive the transport
+  // Tempo follows the estimate (averaged over a beat of pulses) in whole BPM, so pulses
+  // only re-render when it actually changes
+  const followedBpm = useRef(null);
+  const handleMidiClock = (e) => {
+    if (e.type === 'clock') {
+      const estimate = clockFollower.current.tick(e.timeStamp);
+      if (!estimate) return;
+      const next = Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(estimate)));
+      if (next !== followedBpm.current) {
+        followedBpm.current = next;
+        setBpm(next);
+      }
+    } else if (e.type === 'start') {
+      clockFollower.current.reset();
+      followedBpm.current = null;
+      handleTransportStop();
+      handleTransportPlay();
+    } else if (e.type === 'continue') {
+      handleTransportPlay();
+    } else if (e.type === 'stop') {
+      handleTransportPause();
+    }
+  };
+
+  const midiEventRef = useRef(null);
+  midiEventRef.current = handleMidiEvent;
+
+  useEffect(() => {
+    if (!midiAccess) return;
+    return connectMidiInput(midiAccess, midiInputId, e => midiEventRef.current(e), () => {
+      setMidiInputs(listInputs(midiAccess));
+      setMidiOutputs(listOutputs(midiAccess));
+    });
+  }, [midiAccess, midiInputId]);
+
+  // Clock out is pointless (and could loop) while following someone else's clock
+  useEffect(() => {
+    if (!midiOutput || !midiSendClock || midiClockSource === 'midi') return;
+    return sendClockOut(midiOutput);
+  }, [midiOutput, midiSendClock, midiClockSource]);
+
+  // --- Project save/load ---
+  const [projectError, setProjectError] = useState(null);
+  const projectFileInput = useRef(null);
+
+  const getProjectState = () => ({
+    synth: { ...currentPreset(), octave },
+    tuning,
+    performance: performSettings,
+    presets,
+    transport: { bpm, swing },
+    sequencer: { bank: seqBank, patterns: seqPatterns },
+    drums: { bank: drumBank, patterns: drumPatterns, volume: drumVolume, kit: drumKit, samples: drumSamples, mixer: drumMixer, synth: drumSynth },
+    song: { enabled: songMode, entries: song },
+    midi: { mappings: midiMappings },
+  });
+
+  const applyProject = (project) => {
+    applyPreset(project.synth);
+    setOctave(project.synth.octave);
+    setTuning(project.tuning);
+    setPerformSettings(project.performance);
+    setPresets(project.presets);
+    setActivePreset(null);
+    setComparedEdit(null);
+    setBpm(project.transport.bpm);
+    setSwing(project.transport.swing);
+    setSeqPatterns(project.sequencer.patterns);
+    setSeqBank(project.sequencer.bank);
+    setSeqQueued(null);
+    setDrumPatterns(project.drums.patterns);
+    setDrumBank(project.drums.bank);
+    setDrumQueued(null);
+    setSong(project.song.entries);
+    setSongMode(project.song.enabled);
+    setDrumVolume(project.drums.volume);
+    setDrumMixer(project.drums.mixer);
+    setDrumSynth(project.drums.synth);
+    setDrumKit(project.drums.kit);
+    setDrumSamples(project.drums.samples);
+    setMidiMappings(project.midi.mappings);
+  };
+
+  const handleSaveProject = () => downloadProject(getProjectState());
+
+  const openProjectFile = async (file) => {
+    setProjectError(null);
+    try {
+      applyProject(await readProjectFile(file));
+    } catch (err) {
+      setProjectError(err.name === 'ProjectError' ? err.message : 'Could not open project.');
+    }
+  };
+
+  // --- Standard MIDI File export/import of the patterns ---
+  const midiFileInput = useRef(null);
+  const handleMidiExport = () => {
+    // The arrangement in song mode, else the current patterns (polymeters unrolled to whole bars)
+    const arrangement = songMode && song.length ? song : [{ seq: seqBank, drums: drumBank, repeats: 1 }];
+    const { sequencer: seqSteps, drumSteps: drumRows } = flattenSong(arrangement, seqPatterns, drumPatterns);
+    const bytes = exportPatternsToMidi({ sequencer: seqSteps, drumSteps: drumRows, drums: DRUM_ROWS, bpm, seqChannel: seqMidiChannel, drumChannel: drumMidiChannel });
+    downloadBlob(new Blob([bytes], { type: 'audio/midi' }), 'drnklb-patterns.mid');
+  };
+  const openMidiFile = async (file) => {
+    setProjectError(null);
+    try {
+      const { steps, drumSteps: importedDrums, bpm: fileBpm } = importPatternsFromMidi(await file.arrayBuffer(), { drums: DRUM_ROWS, length: sequencer.length, drumChannel: drumMidiChannel });
+      setSequencer(steps);
+      setDrumSteps(toDrumPattern(importedDrums));
+      if (fileBpm) setBpm(Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(fileBpm))));
+    } catch (err) {
+      setProjectError(err.name === 'MidiFileError' ? err.message : 'Could not import MIDI file.');
+    }
+  };
+
+  const handleProjectDrop = (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (!file) return;
+    if (/\.midi?$/i.test(file.name)) openMidiFile(file);
+    else if (file.type === 'application/json' || file.name.endsWith('.json')) openProjectFile(file);
+  };
+
+  const handleTransportPlay = async () => {
+    await startTransport();
+    setTransportState('started');
+  };
+  const handleTransportPause = () => {
+    pauseTransport();
+    stepPlayer.current.release();
+    stopLoop();
+    setTransportState('paused');
+  };
+  const handleTransportStop = () => {
+    stopTransport();
+    stepPlayer.current.release();
+    stopLoop();
+    setTransportState('stopped');
+    setSeqStep(0);
+    setDrumStep(0);
+    if (seqQueued !== null) selectSeqBank(seqQueued, false);
+    if (drumQueued !== null) selectDrumBank(drumQueued, false);
+    setSongIndex(null);
+  };
+
   return (
-    <div className="synth-app" style={{ maxWidth: 1700, margin: '0 auto', display: 'flex', flexDirection: 'row', gap: 32 }}>
+    <div className="synth-app" style={{ maxWidth: 1700, margin: '0 auto', display: 'flex', flexDirection: 'row', gap: 32 }} onDragOver={e => e.preventDefault()} onDrop={handleProjectDrop}>
       <div style={{ flex: 1.2, minWidth: 0 }}>
         <header className="synth-header">
           <h1 style={{ fontSize: '2.2rem', margin: 0 }}>DRNKLB</h1>
@@ -797,11 +1563,11 @@ export default function App() {
         <main className="synth-main">
           <section className="oscillators">
             <h2>Oscillators</h2>
-            <div className="osc-row" style={{ display: 'flex', gap: 32, alignItems: 'flex-end', justifyContent: 'center' }}>
+            <div className="osc-row" style={{ display: 'flex', gap: 32, alignItems: 'flex-start', justifyContent: 'center' }}>
               <div className="osc-panel" style={{ minWidth: 160 }}>
                 <div>Osc 1</div>
                 <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
-                  {WAVE_TYPES.map(w => (
+                  {OSC_MODES.map(w => (
                     <button
                       key={w}
                       className={osc1Type === w ? 'active' : ''}
@@ -816,6 +1582,16 @@ export default function App() {
                     <span style={{ minWidth: 30, display: 'inline-block' }}>{osc1Detune}¢</span>
                   </label>
                 </div>
+                <div style={{ marginTop: 4, fontSize: '0.9em', color: '#aaa' }}>
+                  <label>Coarse
+                    <input type="range" min={-MAX_COARSE} max={MAX_COARSE} value={oscSettings.osc1Coarse} onChange={e => oscSetters.osc1Coarse(Number(e.target.value))} style={{ width: 80, marginLeft: 8 }} />
+                    <span style={{ minWidth: 30, display: 'inline-block' }}>{oscSettings.osc1Coarse > 0 ? '+' : ''}{oscSettings.osc1Coarse}st</span>
+                  </label>
+                  {[-12, 12].map(shift => (
+                    <button key={shift} onClick={() => oscSetters.osc1Coarse(Math.max(-MAX_COARSE, Math.min(MAX_COARSE, oscSettings.osc1Coarse + shift)))} title={`Octave ${shift > 0 ? 'up' : 'down'}`} style={{ padding: '0 5px', marginLeft: 4 }}>{shift > 0 ? '+8va' : '-8va'}</button>
+                  ))}
+                </div>
+                <OscillatorMode n={1} sound={currentPreset()} onChange={(key, value) => { setOscError(null); oscSetters[oscKey(1, key)](value); }} onError={setOscError} />
               </div>
               <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', minWidth: 120 }}>
                 <label style={{ fontWeight: 'bold', color: '#e0e0e0', marginBottom: 4 }}>Mix</label>
@@ -828,11 +1604,32 @@ export default function App() {
                   <input type="checkbox" checked={osc2Enabled} onChange={e => setOsc2Enabled(e.target.checked)} style={{ marginRight: 8 }} />
                   Enable Osc 2
                 </label>
+                <div style={{ marginTop: 12, display: 'flex', flexDirection: 'column', gap: 4, fontSize: '0.9em', color: '#aaa' }}>
+                  <label>Sub
+                    <input type="range" min={0} max={1} step={0.01} value={oscSettings.subLevel} onChange={e => oscSetters.subLevel(Number(e.target.value))} style={{ width: 70, marginLeft: 8 }} />
+                  </label>
+                  <span>
+                    <select value={oscSettings.subOctave} onChange={e => oscSetters.subOctave(Number(e.target.value))} title="Octaves below Osc 1">
+                      <option value={1}>-1 oct</option>
+                      <option value={2}>-2 oct</option>
+                    </select>
+                    <select value={oscSettings.subType} onChange={e => oscSetters.subType(e.target.value)} style={{ marginLeft: 4 }}>
+                      {SUB_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+                    </select>
+                  </span>
+                  <label title={syncError || 'Osc 2 restarts with every cycle of Osc 1; sweep its pitch for the classic sound'}>
+                    <input type="checkbox" checked={oscSettings.oscSync} onChange={e => oscSetters.oscSync(e.target.checked)} disabled={!syncReady || !osc2Enabled} style={{ marginRight: 8 }} />
+                    Sync 2 to 1
+                  </label>
+                  <label title="Osc 1 times Osc 2">Ring
+                    <input type="range" min={0} max={1} step={0.01} value={oscSettings.ringLevel} onChange={e => oscSetters.ringLevel(Number(e.target.value))} style={{ width: 70, marginLeft: 8 }} disabled={!osc2Enabled} />
+                  </label>
+                </div>
               </div>
               <div className="osc-panel" style={{ minWidth: 160, opacity: osc2Enabled ? 1 : 0.4 }}>
                 <div>Osc 2</div>
                 <div style={{ display: 'flex', gap: 4, flexWrap: 'wrap' }}>
-                  {WAVE_TYPES.map(w => (
+                  {OSC_MODES.map(w => (
                     <button
                       key={w}
                       className={osc2Type === w ? 'active' : ''}
@@ -848,11 +1645,116 @@ export default function App() {
                     <span style={{ minWidth: 30, display: 'inline-block' }}>{osc2Detune}¢</span>
                   </label>
                 </div>
+                <div style={{ marginTop: 4, fontSize: '0.9em', color: '#aaa' }}>
+                  <label>Coarse
+                    <input type="range" min={-MAX_COARSE} max={MAX_COARSE} value={oscSettings.osc2Coarse} onChange={e => oscSetters.osc2Coarse(Number(e.target.value))} style={{ width: 80, marginLeft: 8 }} disabled={!osc2Enabled} />
+                    <span style={{ minWidth: 30, display: 'inline-block' }}>{oscSettings.osc2Coarse > 0 ? '+' : ''}{oscSettings.osc2Coarse}st</span>
+                  </label>
+                  {[-12, 12].map(shift => (
+                    <button key={shift} onClick={() => oscSetters.osc2Coarse(Math.max(-MAX_COARSE, Math.min(MAX_COARSE, oscSettings.osc2Coarse + shift)))} title={`Octave ${shift > 0 ? 'up' : 'down'}`} style={{ padding: '0 5px', marginLeft: 4 }} disabled={!osc2Enabled}>{shift > 0 ? '+8va' : '-8va'}</button>
+                  ))}
+                </div>
+                <OscillatorMode n={2} sound={currentPreset()} disabled={!osc2Enabled} onChange={(key, value) => { setOscError(null); oscSetters[oscKey(2, key)](value); }} onError={setOscError} />
+              </div>
+            </div>
+            {oscError && <div style={{ color: '#e00', marginTop: '0.5em', textAlign: 'center' }}>{oscError}</div>}
+            <div style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', marginTop: 12, color: '#b0b0b0' }}>
+              <label>Voices
+                <select value={voiceMode} onChange={e => setVoiceMode(e.target.value)} style={{ marginLeft: 8 }}>
+                  {VOICE_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+                </select>
+              </label>
+              {voiceMode === 'poly' && (
+                <>
+                  <label>Polyphony
+                    <input type="number" min={1} max={MAX_POLYPHONY} value={polyphony} onChange={e => setPolyphony(Math.max(1, Math.min(MAX_POLYPHONY, Number(e.target.value) || 1)))} style={{ width: 50, marginLeft: 8 }} />
+                  </label>
+                  <label>Steal
+                    <select value={voiceSteal} onChange={e => setVoiceSteal(e.target.value)} style={{ marginLeft: 8 }}>
+                      {STEAL_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+                    </select>
+                  </label>
+                </>
+              )}
+              {voiceMode === 'unison' && (
+                <>
+                  <label>Unison
+                    <input type="number" min={2} max={MAX_UNISON} value={unisonVoices} onChange={e => setUnisonVoices(Math.max(2, Math.min(MAX_UNISON, Number(e.target.value) || 2)))} style={{ width: 50, marginLeft: 8 }} />
+                  </label>
+                  <label>Spread
+                    <input type="range" min={0} max={100} value={unisonSpread} onChange={e => setUnisonSpread(Number(e.target.value))} style={{ width: 80, marginLeft: 8 }} />
+                    <span style={{ minWidth: 30, display: 'inline-block' }}>{unisonSpread}¢</span>
+                  </label>
+                </>
+              )}
+            </div>
+          </section>
+          <section className="envelopes">
+            <h2>Envelopes</h2>
+            {[['Amp', AMP_ENVELOPE_SLIDERS], ['Filter', FILTER_ENVELOPE_SLIDERS]].map(([title, sliders]) => (
+              <div key={title} style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', marginBottom: 8, color: '#b0b0b0' }}>
+                <span style={{ fontWeight: 'bold', color: '#e0e0e0', minWidth: 40 }}>{title}</span>
+                {sliders.map(({ key, label, min, max, step, unit }) => (
+                  <label key={key} style={{ fontSize: '0.9em' }}>{label}
+                    <input type="range" min={min} max={max} step={step} value={envelope[key]} onChange={e => envelopeSetters[key](Number(e.target.value))} style={{ width: 70, marginLeft: 6 }} />
+                    <span style={{ minWidth: 40, display: 'inline-block' }}>{envelope[key]}{unit}</span>
+                  </label>
+                ))}
+              </div>
+            ))}
+          </section>
+          <section className="modulation">
+            <h2>Modulation</h2>
+            {lfos.map((lfo, i) => (
+              <div key={i} style={{ display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', marginBottom: 8, color: '#b0b0b0' }}>
+                <span style={{ fontWeight: 'bold', color: '#e0e0e0', minWidth: 50 }}>LFO {i + 1}</span>
+                <select value={lfo.shape} onChange={e => updateLfo(i, { shape: e.target.value })}>
+                  {LFO_SHAPES.map(shape => <option key={shape} value={shape}>{shape === 'sampleHold' ? 'S&H' : shape}</option>)}
+                </select>
+                <label>
+                  <input type="checkbox" checked={lfo.sync} onChange={e => updateLfo(i, { sync: e.target.checked })} style={{ marginRight: 4 }} />
+                  Sync
+                </label>
+                {lfo.sync ? (
+                  <select value={lfo.division} onChange={e => updateLfo(i, { division: e.target.value })}>
+                    {LFO_DIVISIONS.map(d => <option key={d} value={d}>{d}</option>)}
+                  </select>
+                ) : (
+                  <label>Rate
+                    <input type="range" min={0.05} max={MAX_LFO_RATE} step={0.05} value={lfo.rate} onChange={e => updateLfo(i, { rate: Number(e.target.value) })} style={{ width: 80, marginLeft: 6 }} />
+                    <span style={{ minWidth: 50, display: 'inline-block' }}>{lfo.rate}Hz</span>
+                  </label>
+                )}
+              </div>
+            ))}
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 6, color: '#b0b0b0' }}>
+              {modRoutes.map((route, i) => (
+                <div key={i} style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                  <select value={route.source} onChange={e => updateModRoute(i, { source: e.target.value })}>
+                    {MOD_SOURCES.map(src => <option key={src.key} value={src.key}>{src.label}</option>)}
+                  </select>
+                  <span>→</span>
+                  <select value={route.dest} onChange={e => updateModRoute(i, { dest: e.target.value })}>
+                    {MOD_DESTINATIONS.map(dest => <option key={dest.key} value={dest.key}>{dest.label}</option>)}
+                  </select>
+                  <label>Depth
+                    <input type="range" min={-1} max={1} step={0.01} value={route.depth} onChange={e => updateModRoute(i, { depth: Number(e.target.value) })} style={{ width: 80, marginLeft: 6 }} />
+                    <span style={{ minWidth: 40, display: 'inline-block' }}>{Math.round(route.depth * 100)}%</span>
+                  </label>
+                  <button onClick={() => setModRoutes(r => r.filter((_, j) => j !== i))} style={{ padding: '0.2em 0.6em' }}>✕</button>
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
+                <button onClick={() => setModRoutes(r => [...r, DEFAULT_MOD_ROUTE])} disabled={modRoutes.length >= MAX_ROUTES}>Add route</button>
+                <label>Mod wheel
+                  <input type="range" min={0} max={1} step={0.01} value={modWheel} onChange={e => setModWheel(Number(e.target.value))} style={{ width: 80, marginLeft: 6 }} />
+                </label>
               </div>
             </div>
           </section>
           <section className="notes">
             <h2>Notes</h2>
+            <TuningPanel tuning={tuning} onChange={setTuning} />
             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '1em', marginBottom: 8 }}>
               <button onClick={() => setOctave(o => Math.max(1, o - 1))} disabled={octave <= 1}>-</button>
               <span style={{ fontWeight: 'bold', fontSize: '1.1em' }}>Octave: {octave}</span>
@@ -870,10 +1772,46 @@ export default function App() {
               ))}
               </div>
             </div>
+            <PerformancePanel
+              settings={performSettings}
+              onChange={setPerformSettings}
+              recording={arpRecording}
+              onRecord={() => setArpRecording(r => !r)}
+              canRecord={seqPlaying && !songFollowing}
+            />
+          </section>
+          <section className="transport" style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16, flexWrap: 'wrap' }}>
+            <button onClick={handleTransportPlay} className={transportState === 'started' ? 'active' : ''} disabled={transportState === 'started'}>▶ Play</button>
+            <button onClick={handleTransportPause} disabled={transportState !== 'started'}>❚❚ Pause</button>
+            <button onClick={handleTransportStop} disabled={transportState === 'stopped'}>■ Stop</button>
+            <label style={{ color: '#b0b0b0' }}>BPM
+              <input type="range" min={MIN_BPM} max={MAX_BPM} value={bpm} onChange={e => setBpm(Number(e.target.value))} style={{ width: 120, marginLeft: 8 }} />
+              <span style={{ minWidth: 30, display: 'inline-block' }}>{Math.round(bpm)}</span>
+            </label>
+            <label style={{ color: '#b0b0b0' }}>Swing
+              <input type="range" min={0} max={100} value={swing} onChange={e => setSwing(Number(e.target.value))} style={{ width: 80, marginLeft: 8 }} />
+              <span style={{ minWidth: 30, display: 'inline-block' }}>{swing}%</span>
+            </label>
           </section>
           <section className="sequencer" style={{ margin: '2em 0', padding: '1em', border: '2px solid #444', borderRadius: 8, background: '#181818', textAlign: 'center' }}>
-            <div style={{ marginBottom: 8, fontWeight: 'bold', color: '#e0e0e0' }}>Step Sequencer <span style={{ fontWeight: 'normal', color: '#888', fontSize: '0.9em' }}>[Write] to record actions into steps</span></div>
-            <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginBottom: 8 }}>
+            <div style={{ marginBottom: 8, fontWeight: 'bold', color: '#e0e0e0' }}>Step Sequencer <span style={{ fontWeight: 'normal', color: '#888', fontSize: '0.9em' }}>[Write], select a step: notes played add to its chord, knobs moved lock its parameters</span></div>
+            <div style={{ display: 'flex', gap: 4, justifyContent: 'center', alignItems: 'center', marginBottom: 8, color: '#b0b0b0' }}>
+              {PATTERN_BANKS.map((name, bank) => (
+                <button
+                  key={name}
+                  onClick={() => selectSeqBank(bank)}
+                  disabled={songFollowing}
+                  title={seqQueued === bank ? 'Switches at the next bar' : `Pattern ${name}`}
+                  style={{ padding: '0.2em 0.6em', background: seqBank === bank ? '#e00' : seqQueued === bank ? '#663' : '#111', color: '#e0e0e0', border: '1px solid #e0e0e0' }}
+                >{name}</button>
+              ))}
+              <label style={{ marginLeft: 12 }}>Length
+                <input type="number" min={MIN_PATTERN_LENGTH} max={MAX_PATTERN_LENGTH} value={sequencer.length} onChange={e => setSequencer(steps => resizeTrack(steps, clampLength(Number(e.target.value))))} style={{ width: 44, marginLeft: 6 }} />
+              </label>
+              <button onClick={() => setPianoRollOpen(open => !open)} style={{ marginLeft: 12, background: pianoRollOpen ? '#e00' : '#111', color: '#e0e0e0', border: '1px solid #e0e0e0' }}>Piano roll</button>
+            </div>
+            {pianoRollOpen && <PianoRoll key={seqBank} steps={sequencer} onChange={setSequencer} playhead={seqPlaying ? seqStep : null} />}
+            <div style={{ display: 'flex', gap: 8, justifyContent: 'center', flexWrap: 'wrap', marginBottom: 8 }}>
               {sequencer.map((step, idx) => (
                 <button
                   key={idx}
@@ -887,20 +1825,129 @@ export default function App() {
                     fontWeight: step ? 'bold' : 'normal',
                     position: 'relative',
                   }}
-                  title={step ? 'Step has recorded data' : 'Empty step'}
+                  title={step ? `${step.notes.map(n => `${n.note}${n.octave}`).join(' ') || 'No notes'}, ${Object.keys(step.locks).length} locks` : 'Empty step'}
                 >
-                  {idx + 1}{step ? '*' : ''}
+                  {idx + 1}{step ? '*' : ''}{step && step.tie ? '~' : ''}
                 </button>
               ))}
             </div>
+            {seqWrite && seqSelectedStep !== null && (() => {
+              const step = sequencer[seqSelectedStep];
+              return (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 6, alignItems: 'center', marginBottom: 8, color: '#b0b0b0' }}>
+                  <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center' }}>
+                    <span>Step {seqSelectedStep + 1}:</span>
+                    {step && step.notes.map((n, i) => (
+                      <button key={i} onClick={() => updateSeqStep(seqSelectedStep, s => ({ ...s, notes: s.notes.filter((_, j) => j !== i) }))} title="Remove note">{n.note}{n.octave} ×</button>
+                    ))}
+                    {!step || !step.notes.length ? <span style={{ color: '#666' }}>no notes</span> : null}
+                    <label style={{ marginLeft: 12 }}>Gate
+                      <input type="range" min={MIN_GATE} max={1} step={0.05} value={step ? step.gate : DEFAULT_GATE} disabled={!step} onChange={e => updateSeqStep(seqSelectedStep, s => ({ ...s, gate: Number(e.target.value) }))} style={{ width: 80, marginLeft: 6 }} />
+                      <span style={{ minWidth: 36, display: 'inline-block' }}>{Math.round((step ? step.gate : DEFAULT_GATE) * 100)}%</span>
+                    </label>
+                    <label>
+                      <input type="checkbox" checked={Boolean(step && step.tie)} disabled={!step} onChange={e => updateSeqStep(seqSelectedStep, s => ({ ...s, tie: e.target.checked }))} style={{ marginRight: 4 }} />
+                      Tie
+                    </label>
+                    <button onClick={() => updateSeqStep(seqSelectedStep, () => null)} disabled={!step}>Clear step</button>
+                  </div>
+                  {step && Object.keys(step.locks).length > 0 && (
+                    <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', justifyContent: 'center', fontSize: '0.9em' }}>
+                      <span>Locks:</span>
+                      {Object.entries(step.locks).map(([key, value]) => (
+                        <button
+                          key={key}
+                          onClick={() => updateSeqStep(seqSelectedStep, s => {
+                            const locks = { ...s.locks };
+                            delete locks[key];
+                            return { ...s, locks };
+                          })}
+                          title="Remove lock"
+                        >{describeLock(key, effects)} = {String(value)} ×</button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              );
+            })()}
             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16 }}>
-              <button onClick={() => setSeqWrite(w => !w)} style={{ background: seqWrite ? '#e00' : '#111', color: seqWrite ? '#fff' : '#e0e0e0', fontWeight: 'bold', fontSize: '1.1em', padding: '0.5em 1.2em', borderRadius: 4, border: '2px solid #e0e0e0' }}>{seqWrite ? 'Stop Write' : 'Write'}</button>
+              <button onClick={toggleSeqWrite} style={{ background: seqWrite ? '#e00' : '#111', color: seqWrite ? '#fff' : '#e0e0e0', fontWeight: 'bold', fontSize: '1.1em', padding: '0.5em 1.2em', borderRadius: 4, border: '2px solid #e0e0e0' }}>{seqWrite ? 'Stop Write' : 'Write'}</button>
               <button onClick={handleSeqPlay} style={{ background: seqPlaying ? '#e00' : '#111', color: seqPlaying ? '#fff' : '#e0e0e0', fontWeight: 'bold', fontSize: '1.1em', padding: '0.5em 1.2em', borderRadius: 4, border: '2px solid #e0e0e0' }}>{seqPlaying ? 'Stop' : 'Play'}</button>
-              <label style={{ color: '#b0b0b0' }}>Tempo
-                <input type="range" min={60} max={200} value={seqTempo} onChange={e => setSeqTempo(Number(e.target.value))} style={{ width: 100, marginLeft: 8 }} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{seqTempo} BPM</span>
+            </div>
+          </section>
+          <section className="song" style={{ margin: '2em 0', padding: '1em', border: '2px solid #444', borderRadius: 8, background: '#181818', textAlign: 'center', color: '#b0b0b0' }}>
+            <div style={{ marginBottom: 8, fontWeight: 'bold', color: '#e0e0e0' }}>
+              Song
+              <label style={{ marginLeft: 16, fontWeight: 'normal' }}>
+                <input type="checkbox" checked={songMode} onChange={e => setSongMode(e.target.checked)} style={{ marginRight: 4 }} />
+                Song mode
               </label>
+              <span style={{ fontWeight: 'normal', color: '#888', fontSize: '0.9em', marginLeft: 12 }}>Plays the entries in order, starting on the next bar</span>
             </div>
+            {song.map((entry, idx) => (
+              <div key={idx} style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', marginBottom: 4, background: songIndex === idx ? '#333' : undefined }}>
+                <span style={{ width: 24 }}>{idx + 1}.</span>
+                <label>Seq
+                  <select value={entry.seq} onChange={e => updateSongEntry(idx, { seq: Number(e.target.value) })} style={{ marginLeft: 4 }}>
+                    {PATTERN_BANKS.map((name, bank) => <option key={name} value={bank}>{name}</option>)}
+                  </select>
+                </label>
+                <label>Drums
+                  <select value={entry.drums} onChange={e => updateSongEntry(idx, { drums: Number(e.target.value) })} style={{ marginLeft: 4 }}>
+                    {PATTERN_BANKS.map((name, bank) => <option key={name} value={bank}>{name}</option>)}
+                  </select>
+                </label>
+                <label>x
+                  <input type="number" min={1} max={MAX_REPEATS} value={entry.repeats} onChange={e => updateSongEntry(idx, { repeats: Math.max(1, Math.min(MAX_REPEATS, Number(e.target.value) || 1)) })} style={{ width: 40, marginLeft: 4 }} />
+                </label>
+                <span style={{ color: '#888', fontSize: '0.85em', minWidth: 50 }}>{(entry.repeats * patternSteps(seqPatterns[entry.seq], drumPatterns[entry.drums])) / STEPS_PER_BAR} bars</span>
+                <button onClick={() => moveSongEntry(idx, -1)} disabled={idx === 0}>↑</button>
+                <button onClick={() => moveSongEntry(idx, 1)} disabled={idx === song.length - 1}>↓</button>
+                <button onClick={() => setSong(entries => entries.filter((_, i) => i !== idx))} style={{ color: '#e00' }}>✕</button>
+              </div>
+            ))}
+            <button onClick={() => setSong(entries => [...entries, entries.length ? entries[entries.length - 1] : { ...DEFAULT_SONG_ENTRY, seq: seqBank, drums: drumBank }])}>Add entry</button>
+          </section>
+          <section className="looper" style={{ margin: '2em 0', padding: '1em', border: '2px solid #444', borderRadius: 8, background: '#181818', textAlign: 'center', color: '#b0b0b0' }}>
+            <div style={{ marginBottom: 8, fontWeight: 'bold', color: '#e0e0e0' }}>
+              Looper <span style={{ fontWeight: 'normal', color: '#888', fontSize: '0.9em' }}>Records the master output from the next bar; each take is a new layer</span>
+            </div>
+            {looperError && <div style={{ color: '#e00', marginBottom: 8 }}>{looperError}</div>}
+            <div style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', flexWrap: 'wrap', marginBottom: 8 }}>
+              <label>Bars
+                <select value={loopBars} onChange={e => setLoopBars(Number(e.target.value))} disabled={Boolean(loopStatus)} style={{ marginLeft: 4 }}>
+                  {LOOP_BARS.map(n => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </label>
+              <button
+                onClick={handleLoopRecord}
+                disabled={Boolean(looperError)}
+                title={loopStatus ? 'Cancel the take' : 'Starts on the next bar line'}
+                style={{ background: loopStatus === 'recording' ? '#e00' : loopStatus === 'armed' ? '#663' : '#111', color: '#e0e0e0', border: '1px solid #e0e0e0' }}
+              >{loopStatus === 'recording' ? '● Recording' : loopStatus === 'armed' ? 'Armed…' : loopLayers.length ? '● Overdub' : '● Record'}</button>
+              <button onClick={undoLoopLayer} disabled={!loopLayers.length}>Undo layer</button>
+              <button onClick={clearLoop} disabled={!loopLayers.length}>Clear</button>
+              <label>
+                <input type="checkbox" checked={loopHalfSpeed} onChange={e => setLoopPlayback(e.target.checked, loopReverse)} style={{ marginRight: 4 }} />
+                Half speed
+              </label>
+              <label>
+                <input type="checkbox" checked={loopReverse} onChange={e => setLoopPlayback(loopHalfSpeed, e.target.checked)} style={{ marginRight: 4 }} />
+                Reverse
+              </label>
+              <label>Level
+                <input type="range" min={0} max={1} step={0.01} value={loopLevel} onChange={e => setLoopLevel(Number(e.target.value))} style={{ width: 80, marginLeft: 6 }} />
+              </label>
+            </div>
+            {loopLayers.map((layer, idx) => (
+              <div key={layer.id} style={{ display: 'flex', gap: 8, justifyContent: 'center', alignItems: 'center', marginBottom: 4 }}>
+                <span style={{ width: 70 }}>Layer {idx + 1}</span>
+                <span style={{ color: '#888', fontSize: '0.85em', minWidth: 110 }}>
+                  {layer.steps / STEPS_PER_BAR} bars{layer.speed < 1 ? ', half speed' : ''}{layer.reversed ? ', reversed' : ''}
+                </span>
+                <button onClick={() => toggleLoopMute(layer.id)} style={{ background: layer.muted ? '#e00' : '#111', color: '#e0e0e0', border: '1px solid #e0e0e0' }}>Mute</button>
+              </div>
+            ))}
           </section>
           <section className="noise-fx">
             <h2>Noise FX</h2>
@@ -939,49 +1986,56 @@ export default function App() {
           </section>
           <section className="effects">
             <h2>Effects</h2>
-            <div className="fx-row" style={{ flexDirection: 'column', gap: '0.7em', alignItems: 'flex-start' }}>
-              <div>
-                <label>Stutter</label>
-                <input type="range" min={0} max={100} value={stutter} onChange={e => setStutter(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{stutter}</span>
-                <span style={{ marginLeft: 8 }}>Rate</span>
-                <input type="range" min={1} max={32} value={stutterRate} onChange={e => setStutterRate(Number(e.target.value))} style={{ width: 80 }} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{stutterRate}Hz</span>
-              </div>
-              <div>
-                <label>PitchShift</label>
-                <input type="range" min={-12} max={12} value={pitch} onChange={e => setPitch(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{pitch}st</span>
-              </div>
-              <div>
-                <label>Compressor</label>
-                <input type="range" min={-60} max={0} value={compressor} onChange={e => setCompressor(Number(e.target.value))} />
-                <span style={{ minWidth: 40, display: 'inline-block' }}>{compressor}dB</span>
-              </div>
-              <div>
-                <label>Reverb</label>
-                <input type="range" min={0} max={100} value={reverb} onChange={e => setReverb(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{reverb}</span>
-              </div>
-              <div>
-                <label>Delay</label>
-                <input type="range" min={0} max={100} value={delay} onChange={e => setDelay(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{delay}</span>
-              </div>
-              <div>
-                <label>Dub</label>
-                <input type="range" min={0} max={100} value={dub} onChange={e => setDub(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{dub}</span>
-              </div>
-              <div>
-                <label>Filter</label>
-                <input type="range" min={0} max={100} value={filter} onChange={e => setFilter(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{filter}</span>
-              </div>
-      <div>
-                <label>Distortion</label>
-                <input type="range" min={0} max={100} value={distortion} onChange={e => setDistortion(Number(e.target.value))} />
-                <span style={{ minWidth: 30, display: 'inline-block' }}>{distortion}</span>
+            <div className="fx-row" style={{ flexDirection: 'column', gap: '0.7em', alignItems: 'stretch' }}>
+              {effects.map((fx, idx) => (
+                <div
+                  key={fx.id}
+                  draggable
+                  onDragStart={() => setDraggedEffect(idx)}
+                  onDragOver={e => e.preventDefault()}
+                  onDrop={() => { if (draggedEffect !== null) moveEffect(draggedEffect, idx); setDraggedEffect(null); }}
+                  onDragEnd={() => setDraggedEffect(null)}
+                  style={{ border: '1px solid #444', padding: '0.4em 0.6em', opacity: fx.bypass ? 0.5 : 1, background: draggedEffect === idx ? '#222' : undefined, cursor: 'grab' }}
+                >
+                  <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                    <span style={{ color: '#888' }}>☰</span>
+                    <strong style={{ flex: 1 }}>{EFFECT_TYPES[fx.type].label}</strong>
+                    <label style={{ fontSize: '0.9em', color: '#aaa' }}>
+                      <input type="checkbox" checked={fx.bypass} onChange={e => updateEffect(fx.id, { bypass: e.target.checked })} style={{ marginRight: 4 }} />
+                      Bypass
+                    </label>
+                    <button onClick={() => setEffects(list => list.filter(e => e.id !== fx.id))} style={{ padding: '0.2em 0.6em' }}>✕</button>
+                  </div>
+                  {EFFECT_TYPES[fx.type].params.map(param => (
+                    <div key={param.key}>
+                      <label>{param.label}</label>
+                      {param.options ? (
+                        <select value={fx.params[param.key]} onChange={e => updateEffectParam(fx.id, param.key, e.target.value)}>
+                          {param.options.map(o => <option key={o} value={o}>{o}</option>)}
+                        </select>
+                      ) : (
+                        <>
+                          <input
+                            type="range"
+                            min={0}
+                            max={1}
+                            step={param.scale === 'log' ? 0.001 : param.step / (param.max - param.min)}
+                            value={paramToSlider(param, fx.params[param.key])}
+                            onChange={e => updateEffectParam(fx.id, param.key, sliderToParam(param, Number(e.target.value)))}
+                            disabled={param.key === 'time' && fx.params.division !== 'free'}
+                          />
+                          <span style={{ minWidth: 40, display: 'inline-block' }}>{fx.params[param.key]}{param.unit}</span>
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: 8, justifyContent: 'center' }}>
+                <select value={newEffectType} onChange={e => setNewEffectType(e.target.value)}>
+                  {Object.entries(EFFECT_TYPES).map(([type, def]) => <option key={type} value={type}>{def.label}</option>)}
+                </select>
+                <button onClick={() => setEffects(list => [...list, createEffect(newEffectType)])}>Add effect</button>
               </div>
             </div>
           </section>
@@ -992,22 +2046,138 @@ export default function App() {
                 <button
                   key={idx}
                   className={activePreset === idx ? 'active' : ''}
-                  title={activePreset === idx ? 'Active preset' : 'Click to load, Shift+Click to save'}
+                  title={activePreset === idx ? (presetModified ? `Modified: ${presetChanges.join(', ')}` : 'Active preset') : 'Click to load, Shift+Click to save'}
                   onClick={e => handlePresetClick(idx, e)}
                 >
-                  {idx + 1}
+                  {idx + 1}{activePreset === idx && presetModified ? '*' : ''}
                 </button>
               ))}
+              <button
+                className={comparedEdit ? 'active' : ''}
+                onClick={handleCompareToggle}
+                disabled={!comparedEdit && !presetModified}
+                title="Compare the saved preset (A) with your edits (B)"
+              >
+                {comparedEdit ? 'A (saved)' : 'B (edited)'}
+              </button>
             </div>
+            {presetModified && !comparedEdit && <div style={{ color: '#888', fontSize: '0.85em', textAlign: 'center' }}>modified</div>}
+            <PresetLibrary
+              entries={library}
+              slotCount={presets.length}
+              error={libraryError}
+              onSave={handleLibrarySave}
+              onLoad={handleLibraryLoad}
+              onDelete={handleLibraryDelete}
+              onAssign={handleLibraryAssign}
+            />
+          </section>
+          <section className="midi">
+            <h2>MIDI</h2>
+            {!midiAccess ? (
+              <div style={{ textAlign: 'center' }}>
+                <button onClick={() => handleMidiEnable()} disabled={!midiSupported()}>{midiSupported() ? 'Enable MIDI input' : 'Web MIDI not supported'}</button>
+              </div>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 8 }}>
+                <label style={{ color: '#b0b0b0' }}>Input
+                  <select value={midiInputId} onChange={e => setMidiInputId(e.target.value)} style={{ marginLeft: 8 }}>
+                    <option value={ALL_INPUTS}>All inputs</option>
+                    {midiInputs.map(input => <option key={input.id} value={input.id}>{input.name}</option>)}
+                  </select>
+                </label>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                  <span style={{ color: '#b0b0b0' }}>MIDI learn</span>
+                  <select value={midiLearnTarget} onChange={e => setMidiLearnTarget(e.target.value)}>
+                    {LEARNABLE_PARAMS.map(p => <option key={p.key} value={p.key}>{p.label}</option>)}
+                  </select>
+                  <button onClick={() => setMidiLearning(l => !l)} className={midiLearning ? 'active' : ''} style={{ background: midiLearning ? '#e00' : undefined }}>
+                    {midiLearning ? 'Move a control…' : 'Learn'}
+                  </button>
+                </div>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', color: '#b0b0b0' }}>
+                  <label>Clock
+                    <select value={midiClockSource} onChange={e => setMidiClockSource(e.target.value)} style={{ marginLeft: 8 }}>
+                      <option value="internal">Internal</option>
+                      <option value="midi">Follow MIDI clock</option>
+                    </select>
+                  </label>
+                  <label>Output
+                    <select value={midiOutputId} onChange={e => setMidiOutputId(e.target.value)} style={{ marginLeft: 8 }}>
+                      <option value={NO_OUTPUT}>None</option>
+                      {midiOutputs.map(output => <option key={output.id} value={output.id}>{output.name}</option>)}
+                    </select>
+                  </label>
+                </div>
+                {midiOutputId !== NO_OUTPUT && (
+                  <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', color: '#b0b0b0' }}>
+                    <label>
+                      <input type="checkbox" checked={midiSendClock} onChange={e => setMidiSendClock(e.target.checked)} disabled={midiClockSource === 'midi'} style={{ marginRight: 4 }} />
+                      Send clock
+                    </label>
+                    <label>Seq ch
+                      <input type="number" min={1} max={16} value={seqMidiChannel} onChange={e => setSeqMidiChannel(Math.max(1, Math.min(16, Number(e.target.value) || 1)))} style={{ width: 44, marginLeft: 4 }} />
+                    </label>
+                    <label>Drum ch
+                      <input type="number" min={1} max={16} value={drumMidiChannel} onChange={e => setDrumMidiChannel(Math.max(1, Math.min(16, Number(e.target.value) || 1)))} style={{ width: 44, marginLeft: 4 }} />
+                    </label>
+                  </div>
+                )}
+                {midiMappings.map(m => (
+                  <div key={m.cc} style={{ fontSize: '0.9em', color: '#b0b0b0' }}>
+                    CC {m.cc} → {findLearnableParam(m.param).label}
+                    <button onClick={() => setMidiMappings(ms => ms.filter(x => x.cc !== m.cc))} style={{ marginLeft: 8, color: '#e00' }} title="Remove mapping">×</button>
+                  </div>
+                ))}
+              </div>
+            )}
+            {midiError && <div style={{ color: '#e00', marginTop: '0.5em', textAlign: 'center' }}>{midiError}</div>}
+          </section>
+          <section className="project controls">
+            <button onClick={handleSaveProject}>[💾 Save Project]</button>
+            <button onClick={() => projectFileInput.current.click()} title="Or drop a project file anywhere on the page">[📂 Open Project]</button>
+            <input ref={projectFileInput} type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={e => { if (e.target.files[0]) openProjectFile(e.target.files[0]); e.target.value = ''; }} />
+            <button onClick={handleMidiExport} title="Step sequencer and drums as a multi-track .mid">[🎹 Export MIDI]</button>
+            <button onClick={() => midiFileInput.current.click()} title="Quantise a .mid onto the grids (or drop it on the page)">[🎹 Import MIDI]</button>
+            <input ref={midiFileInput} type="file" accept=".mid,.midi,audio/midi" style={{ display: 'none' }} onChange={e => { if (e.target.files[0]) openMidiFile(e.target.files[0]); e.target.value = ''; }} />
+            {projectError && <div style={{ color: '#e00', marginTop: '0.5em' }}>{projectError}</div>}
           </section>
           <section className="controls">
             <button onClick={handleRecord} style={{ background: recording ? '#e00' : undefined, color: recording ? '#fff' : undefined }}>
-              {recording ? '■ Stop REC' : '[📼 REC WAV]'}
+              {recording ? '■ Stop REC' : `[📼 REC ${exportFormat.toUpperCase()}]`}
             </button>
-            {encoding && <span style={{ marginLeft: '1em', color: '#b0b0b0' }}>Encoding...</span>}
-            {wavUrl && (
-              <a href={wavUrl} download="synth-recording.wav" style={{ marginLeft: '1em' }}>
-                Download WAV
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 4, color: '#b0b0b0', fontSize: '0.9em' }}>
+              <select value={exportFormat} onChange={e => setExportFormat(e.target.value)} disabled={recording || encoding}>
+                <option value="wav">WAV</option>
+                <option value="mp3">MP3</option>
+              </select>
+              {exportFormat === 'mp3' && (
+                <>
+                  <select value={mp3Bitrate} onChange={e => setMp3Bitrate(Number(e.target.value))} disabled={encoding}>
+                    {MP3_BITRATES.map(b => <option key={b} value={b}>{b} kbps</option>)}
+                  </select>
+                  <select value={mp3Stereo ? 'stereo' : 'mono'} onChange={e => setMp3Stereo(e.target.value === 'stereo')} disabled={encoding}>
+                    <option value="stereo">Stereo</option>
+                    <option value="mono">Mono</option>
+                  </select>
+                </>
+              )}
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+              <button onClick={handleBounce} disabled={recording || encoding} title="Render the patterns and effects offline, faster than real time">
+                [⏏ Bounce]
+              </button>
+              <input type="number" min={1} max={64} value={bounceBars} onChange={e => setBounceBars(Math.max(1, Math.min(64, Number(e.target.value) || 1)))} style={{ width: 44 }} />
+              <span style={{ color: '#b0b0b0', fontSize: '0.9em' }}>bars</span>
+            </div>
+            {encoding && (
+              <span style={{ marginLeft: '1em', color: '#b0b0b0' }}>
+                {encodeProgress === null ? 'Encoding...' : <>Encoding <progress value={encodeProgress} max={1} style={{ width: 80 }} /> {Math.round(encodeProgress * 100)}%</>}
+              </span>
+            )}
+            {exportFile && (
+              <a href={exportFile.url} download={exportFile.name} style={{ marginLeft: '1em' }}>
+                Download {exportFile.format}
               </a>
             )}
             {recordError && <div style={{ color: '#e00', marginTop: '0.5em' }}>{recordError}</div>}
@@ -1019,44 +2189,146 @@ export default function App() {
       </div>
       <div style={{ flex: 1.8, minWidth: 700, maxWidth: 900, background: '#181818', border: '2px solid #444', borderRadius: 8, padding: 24, marginTop: 24, height: 'fit-content', boxSizing: 'border-box' }}>
         <h2 style={{ color: '#e0e0e0', textAlign: 'center', marginBottom: 16 }}>Drum Sequencer</h2>
+        <div style={{ display: 'flex', gap: 4, justifyContent: 'center', alignItems: 'center', marginBottom: 12, color: '#b0b0b0' }}>
+          {PATTERN_BANKS.map((name, bank) => (
+            <button
+              key={name}
+              onClick={() => selectDrumBank(bank)}
+              disabled={songFollowing}
+              title={drumQueued === bank ? 'Switches at the next bar' : `Pattern ${name}`}
+              style={{ padding: '0.2em 0.6em', background: drumBank === bank ? '#e00' : drumQueued === bank ? '#663' : '#111', color: '#e0e0e0', border: '1px solid #e0e0e0' }}
+            >{name}</button>
+          ))}
+          <label style={{ marginLeft: 12 }} title="Sets every row">Length
+            <input type="number" min={MIN_PATTERN_LENGTH} max={MAX_PATTERN_LENGTH} value={Math.max(...drumSteps.map(r => r.length))} onChange={e => setDrumSteps(rows => rows.map(r => resizeTrack(r, clampLength(Number(e.target.value)))))} style={{ width: 44, marginLeft: 6 }} />
+          </label>
+          {drumPageCount > 1 && (
+            <span style={{ marginLeft: 12 }}>Steps
+              {Array.from({ length: drumPageCount }, (_, page) => (
+                <button key={page} onClick={() => setDrumPage(page)} style={{ marginLeft: 4, padding: '0.2em 0.5em', background: visibleDrumPage === page ? '#444' : '#111', color: '#e0e0e0' }}>
+                  {page * DRUM_PAGE_SIZE + 1}-{(page + 1) * DRUM_PAGE_SIZE}
+                </button>
+              ))}
+            </span>
+          )}
+        </div>
         <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
-          {DRUMS.map((d, row) => (
-            <div key={d.name} style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'nowrap' }}>
-              <span style={{ width: 90, color: '#b0b0b0', fontWeight: 'bold', flexShrink: 0 }}>{d.name}</span>
-              {drumSteps[row].map((on, col) => (
-                <button
-                  key={col}
-                  onClick={() => handleDrumToggle(row, col)}
-                  style={{
-                    width: 36, height: 36, margin: 2, borderRadius: 6,
-                    background: drumStep === col && drumPlaying ? '#e0e0e0' : on ? '#e00' : '#222',
-                    color: drumStep === col && drumPlaying ? '#181818' : '#fff',
-                    border: '2px solid #888', fontWeight: 'bold', fontSize: '1em', cursor: 'pointer',
-                    transition: 'background 0.2s, color 0.2s',
+          {DRUM_ROWS.map((d, row) => (
+            <div key={d.key} style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'nowrap' }}>
+              <span
+                onDragOver={e => e.preventDefault()}
+                onDrop={e => handleDrumSampleDrop(e, d)}
+                title={drumSamples[d.key] ? `${drumSamples[d.key].name} (drop an audio file to replace)` : 'Drop a WAV/MP3 file to use your own sample'}
+                style={{ width: 110, color: drumSamples[d.key] ? '#e0a000' : '#b0b0b0', fontWeight: 'bold', flexShrink: 0, border: '1px dashed #444', borderRadius: 4, padding: '2px 4px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+              >
+                {d.name}
+                {drumSamples[d.key] && <button onClick={() => resetDrumSample(d)} title="Back to the kit sound" style={{ marginLeft: 4, padding: '0 4px', fontSize: '0.8em' }}>×</button>}
+              </span>
+              <input type="number" min={MIN_PATTERN_LENGTH} max={MAX_PATTERN_LENGTH} value={drumSteps[row].length} onChange={e => setDrumRowLength(row, clampLength(Number(e.target.value)))} title="Row length (steps)" style={{ width: 40 }} />
+              {drumSteps[row].slice(visibleDrumPage * DRUM_PAGE_SIZE, (visibleDrumPage + 1) * DRUM_PAGE_SIZE).map((hit, i) => {
+                const col = visibleDrumPage * DRUM_PAGE_SIZE + i;
+                const current = drumPlaying && drumStep % drumSteps[row].length === col;
+                return (
+                  <button
+                    key={col}
+                    onClick={e => (e.shiftKey ? selectDrumStep(row, col) : handleDrumToggle(row, col))}
+                    onContextMenu={e => { e.preventDefault(); selectDrumStep(row, col); }}
+                    title={hit ? `Vel ${hit.velocity}, ${hit.probability}%, x${hit.ratchet}, ${hit.offset > 0 ? '+' : ''}${hit.offset}% (shift-click to edit)` : 'Click to add a hit, shift-click to edit'}
+                    style={{
+                      width: 36, height: 36, margin: 2, borderRadius: 6, padding: 0,
+                      // Brighter red for louder hits
+                      background: current ? '#e0e0e0' : hit ? `rgba(224, 0, 0, ${0.35 + 0.65 * hit.velocity / 100})` : '#222',
+                      color: current ? '#181818' : '#fff',
+                      border: selectedDrumStep?.row === row && selectedDrumStep?.col === col ? '2px solid #e0a000' : '2px solid #888',
+                      borderStyle: hit && hit.probability < 100 ? 'dashed' : 'solid',
+                      fontWeight: 'bold', fontSize: '0.75em', cursor: 'pointer',
+                      transition: 'background 0.2s, color 0.2s',
+                    }}
+                  >{hit && hit.ratchet > 1 ? `x${hit.ratchet}` : ''}</button>
+                );
+              })}
+              <span style={{ display: 'flex', alignItems: 'center', gap: 4, marginLeft: 8, color: '#b0b0b0', fontSize: '0.85em' }}>
+                <input type="range" min={0} max={1} step={0.01} value={drumMixer[d.key].volume} onChange={e => updateDrumChannel(d.key, { volume: Number(e.target.value) })} title={`Volume ${Math.round(drumMixer[d.key].volume * 100)}`} style={{ width: 60 }} />
+                <input type="range" min={-1} max={1} step={0.05} value={drumMixer[d.key].pan} onChange={e => updateDrumChannel(d.key, { pan: Number(e.target.value) })} onDoubleClick={() => updateDrumChannel(d.key, { pan: 0 })} title={`Pan ${drumMixer[d.key].pan.toFixed(2)} (double-click to centre)`} style={{ width: 40 }} />
+                <button onClick={() => updateDrumChannel(d.key, { mute: !drumMixer[d.key].mute })} title="Mute" style={{ padding: '0 5px', background: drumMixer[d.key].mute ? '#e00' : '#222', color: '#fff' }}>M</button>
+                <button onClick={() => updateDrumChannel(d.key, { solo: !drumMixer[d.key].solo })} title="Solo" style={{ padding: '0 5px', background: drumMixer[d.key].solo ? '#e0a000' : '#222', color: '#fff' }}>S</button>
+                <input type="number" min={-MAX_DRUM_TUNE} max={MAX_DRUM_TUNE} step={1} value={drumMixer[d.key].tune} onChange={e => updateDrumChannel(d.key, { tune: Math.max(-MAX_DRUM_TUNE, Math.min(MAX_DRUM_TUNE, Number(e.target.value) || 0)) })} title="Tune (semitones)" style={{ width: 40 }} />
+                <input type="range" min={0} max={1} step={0.01} value={drumMixer[d.key].send} onChange={e => updateDrumChannel(d.key, { send: Number(e.target.value) })} title={`FX send ${Math.round(drumMixer[d.key].send * 100)}%`} style={{ width: 50 }} />
+                <select
+                  value={drumSynth[d.key].source}
+                  onChange={e => {
+                    updateDrumSynth(d.key, { source: e.target.value });
+                    setSynthDrumRow(e.target.value === 'synth' ? d.key : null);
                   }}
-                ></button>
-              ))}
+                  title="Sound source"
+                >
+                  <option value="sample">Sample</option>
+                  <option value="synth">Synth</option>
+                </select>
+                {drumSynth[d.key].source === 'synth' && (
+                  <button onClick={() => setSynthDrumRow(synthDrumRow === d.key ? null : d.key)} title="Edit the synth voice" style={{ padding: '0 5px', background: synthDrumRow === d.key ? '#444' : '#222', color: '#fff' }}>~</button>
+                )}
+              </span>
             </div>
           ))}
+          <div style={{ color: '#888', fontSize: '0.8em', textAlign: 'right' }}>Channel: volume, pan, mute, solo, tune (semitones), FX send, sound source</div>
         </div>
+        {selectedDrumStep && drumSteps[selectedDrumStep.row][selectedDrumStep.col] && (() => {
+          const { row, col } = selectedDrumStep;
+          const hit = drumSteps[row][col];
+          const sliders = [
+            { key: 'velocity', label: 'Velocity', min: 1, max: 100, step: 1, unit: '' },
+            { key: 'probability', label: 'Probability', min: 0, max: 100, step: 1, unit: '%' },
+            { key: 'ratchet', label: 'Ratchet', min: 1, max: MAX_RATCHET, step: 1, unit: 'x' },
+            { key: 'offset', label: 'Timing', min: -MAX_OFFSET, max: MAX_OFFSET, step: 1, unit: '%' },
+          ];
+          return (
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16, marginTop: 18, flexWrap: 'wrap', color: '#b0b0b0' }}>
+              <strong>{DRUM_ROWS[row].name} step {col + 1}</strong>
+              {sliders.map(sl => (
+                <label key={sl.key}>{sl.label}
+                  <input type="range" min={sl.min} max={sl.max} step={sl.step} value={hit[sl.key]} onChange={e => updateDrumStep(row, col, { [sl.key]: Number(e.target.value) })} style={{ width: 90, marginLeft: 6 }} />
+                  <span style={{ minWidth: 36, display: 'inline-block' }}>{hit[sl.key]}{sl.unit}</span>
+                </label>
+              ))}
+              <button onClick={() => setSelectedDrumStep(null)}>[Close]</button>
+            </div>
+          );
+        })()}
+        {synthDrumRow && drumSynth[synthDrumRow].source === 'synth' && (
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16, marginTop: 18, flexWrap: 'wrap', color: '#b0b0b0' }}>
+            <strong>{DRUM_ROWS.find(d => d.key === synthDrumRow).name} synth</strong>
+            {SYNTH_DRUM_PARAMS.map(p => (
+              <label key={p.key}>{p.label}
+                <input type="range" min={p.min} max={p.max} step={p.step} value={drumSynth[synthDrumRow][p.key]} onChange={e => updateDrumSynth(synthDrumRow, { [p.key]: Number(e.target.value) })} style={{ width: 90, marginLeft: 6 }} />
+                <span style={{ minWidth: 36, display: 'inline-block' }}>{drumSynth[synthDrumRow][p.key]}{p.unit}</span>
+              </label>
+            ))}
+            <button onClick={() => updateDrumSynth(synthDrumRow, { ...DEFAULT_DRUM_SYNTH[synthDrumRow], source: 'synth' })}>[Reset]</button>
+            <button onClick={() => setSynthDrumRow(null)}>[Close]</button>
+          </div>
+        )}
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16, marginTop: 18, flexWrap: 'wrap' }}>
           <button onClick={handleDrumPlay} style={{ background: drumPlaying ? '#e00' : '#111', color: drumPlaying ? '#fff' : '#e0e0e0', fontWeight: 'bold', fontSize: '1.1em', padding: '0.5em 1.2em', borderRadius: 4, border: '2px solid #e0e0e0' }}>{drumPlaying ? 'Stop' : 'Play'}</button>
-          <label style={{ color: '#b0b0b0' }}>Tempo
-            <input type="range" min={60} max={400} value={drumTempo} onChange={e => setDrumTempo(Number(e.target.value))} style={{ width: 120, marginLeft: 8 }} />
-            <span style={{ minWidth: 30, display: 'inline-block' }}>{drumTempo} BPM</span>
-          </label>
+          <span style={{ color: '#888' }}>{Math.round(bpm)} BPM</span>
         </div>
         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16, marginTop: 18 }}>
           <label style={{ color: '#b0b0b0', fontWeight: 'bold' }}>Drum Volume
             <input type="range" min={0} max={1} step={0.01} value={drumVolume} onChange={e => setDrumVolume(Number(e.target.value))} style={{ width: 120, marginLeft: 8 }} />
             <span style={{ minWidth: 30, display: 'inline-block' }}>{Math.round(drumVolume * 100)}</span>
           </label>
-          <button onClick={() => setDrumSteps(Array(DRUMS.length).fill().map(() => Array(8).fill(false)))} style={{ marginLeft: 24, background: '#222', color: '#e0e0e0', border: '2px solid #e0e0e0', borderRadius: 4, padding: '0.5em 1.2em', fontWeight: 'bold' }}>[Clear]</button>
-          <label style={{ marginLeft: 24, color: '#b0b0b0', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: 8 }}>
-            <input type="checkbox" checked={drumsThroughFX} onChange={e => setDrumsThroughFX(e.target.checked)} />
-            Drums through FX
+          <button onClick={() => setDrumSteps(rows => rows.map(r => r.map(() => null)))} style={{ marginLeft: 24, background: '#222', color: '#e0e0e0', border: '2px solid #e0e0e0', borderRadius: 4, padding: '0.5em 1.2em', fontWeight: 'bold' }}>[Clear]</button>
+          <button onClick={() => setDrumMixer(DEFAULT_DRUM_MIXER)} style={{ background: '#222', color: '#e0e0e0', border: '2px solid #e0e0e0', borderRadius: 4, padding: '0.5em 1.2em', fontWeight: 'bold' }}>[Reset mixer]</button>
+        </div>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 16, marginTop: 18 }}>
+          <label style={{ color: '#b0b0b0', fontWeight: 'bold' }}>Kit
+            <select value={drumKit} onChange={e => setDrumKit(e.target.value)} style={{ marginLeft: 8 }}>
+              {DRUM_KITS.map(k => <option key={k.key} value={k.key}>{k.name}</option>)}
+            </select>
           </label>
+          <button onClick={() => setDrumSamples({})} disabled={!Object.keys(drumSamples).length}>[Reset samples]</button>
         </div>
+        {drumError && <div style={{ color: '#e00', marginTop: '0.5em', textAlign: 'center' }}>{drumError}</div>}
       </div>
     </div>
   );
@@ -0,0 +1,60 @@
+import * as Tone from 'tone';
+import { DEFAULT_ARP, arpSequence } from './performance';
+
+// Tempo-synced arpeggiator: while enabled it ticks on the transport at its rate, and each
+// tick plays the next of the held notes as `onNote(note, velocity, time, duration)`
+// (MIDI note, 1-100, audio time, seconds). Ticks with no notes held play nothing.
+export function createArpeggiator(onNote) {
+  const transport = Tone.getTransport();
+  let settings = DEFAULT_ARP;
+  let notes = []; // held: [{ note, velocity }] in the order they were pressed
+  let index = 0;
+  let eventId = null;
+  let lastTime = 0; // audio time of the latest note played, which can be a moment ahead
+
+  const tick = (time) => {
+    const sequence = arpSequence(notes, settings.order, settings.octaves);
+    if (!sequence.length) return;
+    const n = settings.order === 'random'
+      ? sequence[Math.floor(Math.random() * sequence.length)]
+      : sequence[index % sequence.length];
+    index++;
+    lastTime = time;
+    onNote(n.note, n.velocity, time, Tone.Time(settings.rate).toSeconds() * settings.gate);
+  };
+
+  // Repeats from the transport's start, so ticks stay on the grid of the rate
+  const schedule = () => {
+    if (eventId !== null) transport.clear(eventId);
+    eventId = settings.enabled ? transport.scheduleRepeat(tick, settings.rate, 0) : null;
+  };
+
+  return {
+    // Settings as in performance.js DEFAULT_ARP
+    setSettings(next) {
+      const reschedule = next.enabled !== settings.enabled || next.rate !== settings.rate;
+      settings = next;
+      if (reschedule) schedule();
+    },
+
+    // The held notes changed; a new arpeggio starts from its first note
+    setNotes(next) {
+      if (!notes.length) index = 0;
+      notes = next;
+    },
+
+    // Panic: drops the held notes and the ticks queued on the transport. Returns the audio
+    // time of the last note already played, so it can be released as it starts.
+    stop() {
+      notes = [];
+      index = 0;
+      schedule();
+      return lastTime;
+    },
+
+    dispose() {
+      if (eventId !== null) transport.clear(eventId);
+      eventId = null;
+    },
+  };
+}
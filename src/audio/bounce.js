@@ -0,0 +1,79 @@
+import * as Tone from 'tone';
+import { swingOffset, STEPS_PER_BAR } from './transport';
+import { createFxChain } from './fxChain';
+import { createVoiceManager } from './voiceManager';
+import { createModMatrix } from './modMatrix';
+import { createDrumMachine, drumHitsAt } from './drumMachine';
+import { createStepPlayer } from './stepPlayer';
+import { loadSyncOscillator } from './syncOscillator';
+
+// Render `bars` bars of the step sequencer and drum grid through a copy of the
+// effects chain in an offline context. Faster than real time and sample-exact.
+//   params:    current synth/effect settings (what the steps' parameter locks apply to)
+//   sequencer: step sequencer steps (null for rests); skipped if `seqOn` is false
+//   drums:     [{ key, buffer, steps }] (row key, loaded sample, grid row); skipped if `drumsOn` is false
+//   drumMixer: channel strips by row key, see DEFAULT_DRUM_MIXER
+//   drumSynth: synth voice settings by row key, see DEFAULT_DRUM_SYNTH
+// Resolves with an AudioBuffer.
+export async function bouncePattern({ bars, bpm, swing = 0, params, sequencer, seqOn = true, drums, drumsOn = true, drumMixer, drumVolume, drumSynth, getFreq }) {
+  const steps = bars * STEPS_PER_BAR;
+  const stepDuration = 60 / bpm; // one step is one beat
+  const duration = steps * stepDuration;
+  const original = Tone.getContext();
+  const context = new Tone.OfflineContext(2, duration, original.sampleRate);
+  // Nodes belong to the context that is global when they're made. It's the offline one only
+  // while building synchronously, so live playback never runs on it.
+  const build = (fn) => {
+    Tone.setContext(context);
+    try {
+      return fn();
+    } finally {
+      Tone.setContext(original);
+    }
+  };
+
+  // Everything async is ready before the render starts.
+  // Without AudioWorklet the bounce plays Osc 2 unsynced.
+  await loadSyncOscillator(context).catch(() => {});
+  const chain = build(() => createFxChain(params));
+  await chain.rack.ready();
+
+  build(() => {
+    const { transport } = context;
+    transport.bpm.value = bpm;
+    chain.master.toDestination();
+    const voices = createVoiceManager(chain.input, params);
+    voices.setParams(params);
+    const modMatrix = createModMatrix(chain, voices);
+    modMatrix.setSettings({ lfos: params.lfos, modRoutes: params.modRoutes });
+    modMatrix.setBase(params);
+    // Noise sources play for the whole bounce; steps can lock their levels
+    ['white', 'pink', 'brown'].forEach(type => chain[`${type}Noise`].start(0));
+    const stepPlayer = createStepPlayer(voices, chain, getFreq);
+
+    const drumMachine = drumsOn ? createDrumMachine(chain.master, chain.input, chain.whiteNoise) : null;
+    if (drumMachine) {
+      drums.forEach(d => d.buffer && drumMachine.setBuffer(d.key, d.buffer));
+      drumMachine.setMix(drumMixer, drumVolume);
+      drumMachine.setSynth(drumSynth);
+    }
+
+    const stepTime = (step) => step * stepDuration + swingOffset(step, swing);
+    for (let step = 0; step < steps; step++) {
+      const time = stepTime(step);
+      if (seqOn) stepPlayer.play(sequencer[step % sequencer.length], time, stepTime(step + 1) - time, params);
+      if (drumMachine) {
+        drums.forEach(d => {
+          drumHitsAt(d.steps, step, stepTime, stepDuration).forEach(hit => {
+            if (hit.time < duration) drumMachine.trigger(d.key, hit.time, hit.velocity);
+          });
+        });
+      }
+    }
+    // Notes tied over the end are cut there
+    stepPlayer.release(duration);
+    transport.start(0);
+  });
+  const rendered = await context.render();
+  return rendered.get();
+}
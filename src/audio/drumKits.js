@@ -0,0 +1,147 @@
+import * as Tone from 'tone';
+
+// Drum grid rows, top to bottom. The first three match the original
+// Kick/Snare/Closed HH grid, so old patterns keep their positions.
+export const DRUM_ROWS = [
+  { key: 'kick', name: 'Kick', midiNote: 36 },
+  { key: 'snare', name: 'Snare', midiNote: 38 },
+  { key: 'closedHat', name: 'Closed HH', midiNote: 42 },
+  { key: 'openHat', name: 'Open HH', midiNote: 46 },
+  { key: 'clap', name: 'Clap', midiNote: 39 },
+  { key: 'rim', name: 'Rim', midiNote: 37 },
+  { key: 'lowTom', name: 'Low Tom', midiNote: 45 },
+  { key: 'midTom', name: 'Mid Tom', midiNote: 47 },
+  { key: 'highTom', name: 'High Tom', midiNote: 50 },
+  { key: 'cowbell', name: 'Cowbell', midiNote: 56 },
+];
+
+// Layer voices. Each triggers one hit at time 0 into the current context.
+const VOICES = {
+  // Sine body with a downward pitch sweep (kicks, toms, snare bodies)
+  membrane: ({ note, decay, pitchDecay = 0.05, octaves = 2, volume = 0 }) => {
+    new Tone.MembraneSynth({ pitchDecay, octaves, volume, envelope: { attack: 0.001, decay, sustain: 0, release: 0.05 } })
+      .toDestination()
+      .triggerAttackRelease(note, decay, 0);
+  },
+  // Filtered noise burst (snare wires, hats, clicks)
+  noise: ({ filter = 'highpass', freq, q = 1, decay, volume = 0 }) => {
+    const f = new Tone.Filter({ type: filter, frequency: freq, Q: q }).toDestination();
+    new Tone.NoiseSynth({ volume, envelope: { attack: 0.001, decay, sustain: 0 } }).connect(f).triggerAttack(0);
+  },
+  // FM metallic noise (808 hats)
+  metal: ({ freq, decay, resonance = 6000, volume = -14 }) => {
+    new Tone.MetalSynth({ volume, harmonicity: 5.1, modulationIndex: 32, resonance, octaves: 1.5, envelope: { attack: 0.001, decay, release: 0.01 } })
+      .toDestination()
+      .triggerAttackRelease(freq, decay, 0);
+  },
+  // Three quick noise bursts and a tail through a band-pass
+  clap: ({ freq, decay, volume = 0 }) => {
+    const f = new Tone.Filter({ type: 'bandpass', frequency: freq, Q: 2 }).toDestination();
+    const bursts = new Tone.NoiseSynth({ volume, envelope: { attack: 0.001, decay: 0.01, sustain: 0 } }).connect(f);
+    [0, 0.011, 0.022].forEach(time => bursts.triggerAttack(time));
+    new Tone.NoiseSynth({ volume, envelope: { attack: 0.001, decay, sustain: 0 } }).connect(f).triggerAttack(0.033);
+  },
+  // Square oscillators through a band-pass (cowbells, rimshots)
+  square: ({ freqs, filterFreq, decay, volume = -6 }) => {
+    const env = new Tone.AmplitudeEnvelope({ attack: 0.001, decay, sustain: 0, release: 0.01 }).toDestination();
+    const f = new Tone.Filter({ type: 'bandpass', frequency: filterFreq, Q: 3 }).connect(env);
+    freqs.forEach(frequency => new Tone.Oscillator({ type: 'square', frequency, volume }).connect(f).start(0));
+    env.triggerAttack(0);
+  },
+};
+
+// Built-in kits: per row, the layers [voice, params] rendered into its sample
+export const DRUM_KITS = [
+  {
+    key: '808',
+    name: 'TR-808',
+    sounds: {
+      kick: [['membrane', { note: 50, decay: 0.8, octaves: 4 }]],
+      snare: [['membrane', { note: 180, decay: 0.15, pitchDecay: 0.02 }], ['noise', { freq: 1500, decay: 0.2, volume: -6 }]],
+      closedHat: [['metal', { freq: 200, decay: 0.05 }]],
+      openHat: [['metal', { freq: 200, decay: 0.4 }]],
+      clap: [['clap', { freq: 1100, decay: 0.25 }]],
+      rim: [['square', { freqs: [1700], filterFreq: 1700, decay: 0.03 }]],
+      lowTom: [['membrane', { note: 90, decay: 0.5, pitchDecay: 0.1 }]],
+      midTom: [['membrane', { note: 130, decay: 0.45, pitchDecay: 0.1 }]],
+      highTom: [['membrane', { note: 190, decay: 0.4, pitchDecay: 0.1 }]],
+      cowbell: [['square', { freqs: [540, 800], filterFreq: 800, decay: 0.35 }]],
+    },
+  },
+  {
+    key: '909',
+    name: 'TR-909',
+    sounds: {
+      kick: [['membrane', { note: 55, decay: 0.45, pitchDecay: 0.02, octaves: 6 }], ['noise', { freq: 4000, decay: 0.01, volume: -12 }]],
+      snare: [['membrane', { note: 200, decay: 0.1, octaves: 3 }], ['noise', { freq: 2500, decay: 0.25 }]],
+      closedHat: [['noise', { freq: 7000, decay: 0.06, volume: -6 }]],
+      openHat: [['noise', { freq: 7000, decay: 0.45, volume: -8 }]],
+      clap: [['clap', { freq: 1500, decay: 0.2 }]],
+      rim: [['membrane', { note: 500, decay: 0.04, octaves: 1 }], ['noise', { filter: 'bandpass', freq: 3000, decay: 0.02 }]],
+      lowTom: [['membrane', { note: 100, decay: 0.35, octaves: 1.5 }]],
+      midTom: [['membrane', { note: 150, decay: 0.35, octaves: 1.5 }]],
+      highTom: [['membrane', { note: 210, decay: 0.3, octaves: 1.5 }]],
+      cowbell: [['square', { freqs: [560, 845], filterFreq: 900, decay: 0.25 }]],
+    },
+  },
+  {
+    key: 'cr78',
+    name: 'CR-78',
+    sounds: {
+      kick: [['membrane', { note: 60, decay: 0.25, pitchDecay: 0.01, octaves: 1.5 }]],
+      snare: [['membrane', { note: 240, decay: 0.08, octaves: 1 }], ['noise', { filter: 'bandpass', freq: 5000, q: 0.8, decay: 0.12 }]],
+      closedHat: [['noise', { freq: 9000, decay: 0.03 }]],
+      openHat: [['noise', { freq: 9000, decay: 0.25 }]],
+      clap: [['clap', { freq: 1000, decay: 0.15 }]],
+      rim: [['square', { freqs: [2200], filterFreq: 2200, decay: 0.015 }]],
+      lowTom: [['membrane', { note: 120, decay: 0.25, octaves: 1 }]],
+      midTom: [['membrane', { note: 170, decay: 0.25, octaves: 1 }]],
+      highTom: [['membrane', { note: 240, decay: 0.2, octaves: 1 }]],
+      cowbell: [['square', { freqs: [700, 1050], filterFreq: 1000, decay: 0.15 }]],
+    },
+  },
+];
+
+export const DEFAULT_KIT = '808';
+const TAIL = 0.2; // seconds rendered past the longest layer decay
+
+const findKit = (key) => DRUM_KITS.find(k => k.key === key) || DRUM_KITS.find(k => k.key === DEFAULT_KIT);
+
+// Tone.Offline swaps the global context while it runs, so renders go one at a time
+let renderQueue = Promise.resolve();
+const rendered = new Map();
+
+// Resolves with the ToneAudioBuffer of a built-in kit sound. Rendered locally on
+// first use and cached, so the kits need no network.
+export function renderKitSound(kitKey, rowKey) {
+  const kit = findKit(kitKey);
+  const id = `${kit.key}/${rowKey}`;
+  if (!rendered.has(id)) {
+    const layers = kit.sounds[rowKey];
+    const length = Math.max(...layers.map(([, p]) => p.decay)) + TAIL;
+    const render = renderQueue.then(() => Tone.Offline(() => {
+      layers.forEach(([voice, params]) => VOICES[voice](params));
+    }, length, 1));
+    renderQueue = render.catch(() => {});
+    rendered.set(id, render);
+  }
+  return rendered.get(id);
+}
+
+// Encoded audio (WAV, MP3, ...) to a ToneAudioBuffer. Decoding detaches the data, so it works on a copy.
+export async function decodeSample(data) {
+  return new Tone.ToneAudioBuffer(await Tone.getContext().decodeAudioData(data.slice(0)));
+}
+
+// { [row key]: { id, name } } with unknown rows and malformed entries dropped
+export function sanitizeDrumSamples(samples) {
+  const out = {};
+  if (!samples || typeof samples !== 'object') return out;
+  DRUM_ROWS.forEach(({ key }) => {
+    const s = samples[key];
+    if (s && Number.isInteger(s.id) && typeof s.name === 'string') out[key] = { id: s.id, name: s.name };
+  });
+  return out;
+}
+
+export const isDrumKit = (key) => DRUM_KITS.some(k => k.key === key);
@@ -0,0 +1,168 @@
+import * as Tone from 'tone';
+import { DRUM_ROWS } from './drumKits';
+import { DEFAULT_DRUM_SYNTH, createSynthDrum } from './drumSynth';
+
+// Drum grid cells are null (off) or a hit:
+//   velocity 1-100, probability 0-100 (% chance to play), ratchet 1-MAX_RATCHET
+//   hits spread over the step, offset: micro-timing in % of a step either way
+export const DEFAULT_DRUM_STEP = { velocity: 100, probability: 100, ratchet: 1, offset: 0 };
+export const MAX_RATCHET = 4;
+export const MAX_OFFSET = 50;
+
+// Channel strip per row. `send` (0-1) is the share of the row routed through the
+// effects rack instead of straight to the master; `tune` is in semitones.
+export const DEFAULT_DRUM_CHANNEL = { volume: 0.8, pan: 0, mute: false, solo: false, tune: 0, send: 0 };
+export const MAX_DRUM_TUNE = 12;
+export const DEFAULT_DRUM_MIXER = Object.fromEntries(DRUM_ROWS.map(d => [d.key, DEFAULT_DRUM_CHANNEL]));
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const num = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+// Any stored cell to a hit or null; `true` (older boolean grids) is a default hit
+export function toDrumStep(value) {
+  if (value === true) return DEFAULT_DRUM_STEP;
+  if (!value || typeof value !== 'object') return null;
+  return {
+    velocity: clamp(Math.round(num(value.velocity, DEFAULT_DRUM_STEP.velocity)), 1, 100),
+    probability: clamp(num(value.probability, DEFAULT_DRUM_STEP.probability), 0, 100),
+    ratchet: clamp(Math.round(num(value.ratchet, DEFAULT_DRUM_STEP.ratchet)), 1, MAX_RATCHET),
+    offset: clamp(num(value.offset, DEFAULT_DRUM_STEP.offset), -MAX_OFFSET, MAX_OFFSET),
+  };
+}
+
+// A channel strip for every row, with out-of-range values clamped
+export function sanitizeDrumMixer(mixer) {
+  const src = mixer && typeof mixer === 'object' ? mixer : {};
+  return Object.fromEntries(DRUM_ROWS.map(({ key }) => {
+    const ch = src[key] && typeof src[key] === 'object' ? src[key] : {};
+    return [key, {
+      volume: clamp(num(ch.volume, DEFAULT_DRUM_CHANNEL.volume), 0, 1),
+      pan: clamp(num(ch.pan, DEFAULT_DRUM_CHANNEL.pan), -1, 1),
+      mute: ch.mute === true,
+      solo: ch.solo === true,
+      tune: clamp(num(ch.tune, DEFAULT_DRUM_CHANNEL.tune), -MAX_DRUM_TUNE, MAX_DRUM_TUNE),
+      send: clamp(num(ch.send, DEFAULT_DRUM_CHANNEL.send), 0, 1),
+    }];
+  }));
+}
+
+// Linear level of a row after mute and solo
+export function channelGain(mixer, key) {
+  const soloed = DRUM_ROWS.some(d => mixer[d.key].solo);
+  const ch = mixer[key];
+  return ch.mute || (soloed && !ch.solo) ? 0 : ch.volume;
+}
+
+// Hits of one grid row to schedule on `step` (counted from the pattern's start): [{ time, velocity }].
+// `stepTime(n)` is the (swung) start time of step n. A cell pulled early plays from
+// the step before it, so the step-by-step scheduler can still reach it; on the very
+// first step there is none, and it plays on time. `pullNext` is false on the last
+// step before a pattern switch. Probability is rolled here.
+export function drumHitsAt(row, step, stepTime, stepDuration, pullNext = true) {
+  const cell = (n) => row[n % row.length];
+  const due = [];
+  const own = cell(step);
+  if (own && (own.offset >= 0 || step === 0)) due.push([own, step]);
+  const next = cell(step + 1);
+  if (pullNext && next && next.offset < 0) due.push([next, step + 1]);
+
+  const hits = [];
+  due.forEach(([hit, n]) => {
+    if (Math.random() * 100 >= hit.probability) return;
+    const start = Math.max(stepTime(step), stepTime(n) + (hit.offset / 100) * stepDuration);
+    for (let i = 0; i < hit.ratchet; i++) {
+      hits.push({ time: start + (i * stepDuration) / hit.ratchet, velocity: hit.velocity });
+    }
+  });
+  return hits;
+}
+
+// A sample and channel strip for every drum row:
+//   sample hit -> velocity -> pan -> level -> dry  -> `dryOut`
+//   synth voice ----------->                -> send -> `fxOut`
+// Each sample hit has its own velocity gain, so it leaves the tail of the one before alone.
+// Both buses follow the overall drum volume. Synth voices (see drumSynth.js) are
+// built the first time a row plays one and take their noise from `noise`.
+export function createDrumMachine(dryOut, fxOut, noise) {
+  const dryBus = new Tone.Gain(1).connect(dryOut);
+  const fxBus = new Tone.Gain(1).connect(fxOut);
+  const rows = {};
+  const synths = {}; // row key -> synth voice
+  let synthSettings = DEFAULT_DRUM_SYNTH;
+  let tunes = {}; // row key -> channel tune
+  const buffers = {}; // row key -> ToneAudioBuffer
+  const playing = new Set(); // sample hits still sounding: { source, velocity }
+  DRUM_ROWS.forEach(({ key }) => {
+    const row = {
+      panner: new Tone.Panner(0),
+      level: new Tone.Gain(DEFAULT_DRUM_CHANNEL.volume),
+      dry: new Tone.Gain(1).connect(dryBus),
+      send: new Tone.Gain(0).connect(fxBus),
+    };
+    row.panner.connect(row.level);
+    row.level.fan(row.dry, row.send);
+    rows[key] = row;
+  });
+
+  return {
+    setBuffer(key, buffer) {
+      buffers[key] = buffer;
+    },
+
+    // `mixer`: { [row key]: channel strip }; `volume`: overall drum level 0-1
+    setMix(mixer, volume) {
+      dryBus.gain.value = volume;
+      fxBus.gain.value = volume;
+      DRUM_ROWS.forEach(({ key }) => {
+        const ch = mixer[key];
+        const row = rows[key];
+        row.level.gain.value = channelGain(mixer, key);
+        row.panner.pan.value = ch.pan;
+        row.dry.gain.value = 1 - ch.send;
+        row.send.gain.value = ch.send;
+      });
+      tunes = Object.fromEntries(DRUM_ROWS.map(({ key }) => [key, mixer[key].tune]));
+    },
+
+    // `settings`: { [row key]: synth settings }, see DEFAULT_DRUM_SYNTH
+    setSynth(settings) {
+      synthSettings = settings;
+    },
+
+    // Rows still loading their sample are skipped
+    trigger(key, time, velocity) {
+      const row = rows[key];
+      const synth = synthSettings[key];
+      if (synth.source === 'synth') {
+        if (!synths[key]) synths[key] = createSynthDrum(key, noise, row.panner);
+        synths[key].trigger(synth, time, velocity, tunes[key] || 0);
+        return;
+      }
+      const buffer = buffers[key];
+      if (!buffer || !buffer.loaded) return;
+      const hit = {
+        source: new Tone.ToneBufferSource({ url: buffer, playbackRate: Math.pow(2, (tunes[key] || 0) / 12) }),
+        velocity: new Tone.Gain(velocity / 100).connect(row.panner),
+      };
+      // The source disposes itself once it has ended
+      hit.source.onended = () => {
+        playing.delete(hit);
+        hit.velocity.dispose();
+      };
+      hit.source.connect(hit.velocity);
+      playing.add(hit);
+      hit.source.start(time);
+    },
+
+    dispose() {
+      playing.forEach(hit => {
+        hit.source.dispose();
+        hit.velocity.dispose();
+      });
+      Object.values(synths).forEach(synth => synth.dispose());
+      Object.values(rows).forEach(row => Object.values(row).forEach(node => node.dispose()));
+      dryBus.dispose();
+      fxBus.dispose();
+    },
+  };
+}
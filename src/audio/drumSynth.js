@@ -0,0 +1,176 @@
+import * as Tone from 'tone';
+import { DRUM_ROWS } from './drumKits';
+
+// Synthesized drum voices, an alternative to a row's sample. Per row:
+//   source: 'sample' or 'synth'
+//   decay:  seconds to silence
+//   tune:   semitones from the row's base pitch (the channel tune adds to it)
+//   tone:   0-100, brightness: kick pitch sweep, snare wires, hat and clap filters
+//   snap:   0-100, level of the noise click on the attack
+export const SYNTH_DRUM_PARAMS = [
+  { key: 'decay', label: 'Decay', min: 0.02, max: 2, step: 0.01, unit: 's' },
+  { key: 'tune', label: 'Tune', min: -24, max: 24, step: 1, unit: 'st' },
+  { key: 'tone', label: 'Tone', min: 0, max: 100, step: 1, unit: '' },
+  { key: 'snap', label: 'Snap', min: 0, max: 100, step: 1, unit: '' },
+];
+
+// Voice and base pitch (Hz) per row, with its default settings
+const ROW_VOICES = {
+  kick: { voice: 'kick', freq: 50, decay: 0.6, tone: 60, snap: 30 },
+  snare: { voice: 'snare', freq: 180, decay: 0.2, tone: 50, snap: 40 },
+  closedHat: { voice: 'hat', freq: 400, decay: 0.06, tone: 60, snap: 20 },
+  openHat: { voice: 'hat', freq: 400, decay: 0.4, tone: 60, snap: 20 },
+  clap: { voice: 'clap', freq: 1200, decay: 0.25, tone: 50, snap: 30 },
+  rim: { voice: 'snare', freq: 450, decay: 0.05, tone: 80, snap: 70 },
+  lowTom: { voice: 'kick', freq: 90, decay: 0.5, tone: 25, snap: 10 },
+  midTom: { voice: 'kick', freq: 130, decay: 0.45, tone: 25, snap: 10 },
+  highTom: { voice: 'kick', freq: 190, decay: 0.4, tone: 25, snap: 10 },
+  cowbell: { voice: 'hat', freq: 540, decay: 0.3, tone: 20, snap: 0 },
+};
+
+export const DEFAULT_DRUM_SYNTH = Object.fromEntries(DRUM_ROWS.map(({ key }) => {
+  const { decay, tone, snap } = ROW_VOICES[key];
+  return [key, { source: 'sample', decay, tune: 0, tone, snap }];
+}));
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const num = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+// Settings for every row, with out-of-range values clamped
+export function sanitizeDrumSynth(settings) {
+  const src = settings && typeof settings === 'object' ? settings : {};
+  return Object.fromEntries(DRUM_ROWS.map(({ key }) => {
+    const s = src[key] && typeof src[key] === 'object' ? src[key] : {};
+    const defaults = DEFAULT_DRUM_SYNTH[key];
+    return [key, {
+      source: s.source === 'synth' ? 'synth' : 'sample',
+      ...Object.fromEntries(SYNTH_DRUM_PARAMS.map(p => [p.key, clamp(num(s[p.key], defaults[p.key]), p.min, p.max)])),
+    }];
+  }));
+}
+
+export const usesDrumSynth = (settings) => DRUM_ROWS.some(({ key }) => settings[key].source === 'synth');
+
+const ATTACK = 0.001;
+const CLICK_DECAY = 0.008;
+// Inharmonic square partials of the metallic hat (ratios of the base pitch)
+const METAL_RATIOS = [1, 1.342, 1.2312, 1.6532, 1.9523, 2.1523];
+
+// Rise to `peak` at `time` and fall away over `decay`. Envelopes are cut with
+// cancelAndHoldAtTime first, so a retrigger doesn't click.
+function burst(param, peak, time, decay) {
+  param.linearRampToValueAtTime(peak, time + ATTACK);
+  param.exponentialRampToValueAtTime(0, time + ATTACK + decay);
+}
+
+// The graph of each voice, playing into `out`. Returns its nodes, the node the
+// noise source feeds (`input`, if the voice uses noise) and
+// trigger(settings, time, level, ratio), `ratio` being the pitch factor from tuning.
+const VOICES = {
+  // Sine with a downward pitch sweep; tone sets the sweep depth
+  kick: (out, freq) => {
+    const amp = new Tone.Gain(0).connect(out);
+    const osc = new Tone.Oscillator(freq, 'sine').connect(amp).start();
+    return {
+      nodes: [amp, osc],
+      trigger(s, time, level, ratio) {
+        const base = freq * ratio;
+        osc.frequency.cancelAndHoldAtTime(time);
+        osc.frequency.setValueAtTime(base * Math.pow(2, (s.tone / 100) * 4), time);
+        osc.frequency.exponentialRampToValueAtTime(base, time + 0.02 + s.decay * 0.1);
+        amp.gain.cancelAndHoldAtTime(time);
+        burst(amp.gain, level, time, s.decay);
+      },
+    };
+  },
+
+  // Triangle body and high-passed noise wires; tone moves the wires up and the body down
+  snare: (out, freq) => {
+    const bodyAmp = new Tone.Gain(0).connect(out);
+    const osc = new Tone.Oscillator(freq, 'triangle').connect(bodyAmp).start();
+    const wireAmp = new Tone.Gain(0).connect(out);
+    const wires = new Tone.Filter({ type: 'highpass', frequency: 1500, Q: 0.7 }).connect(wireAmp);
+    return {
+      nodes: [bodyAmp, osc, wireAmp, wires],
+      input: wires,
+      trigger(s, time, level, ratio) {
+        const base = freq * ratio;
+        osc.frequency.cancelAndHoldAtTime(time);
+        osc.frequency.setValueAtTime(base * 1.5, time);
+        osc.frequency.exponentialRampToValueAtTime(base, time + 0.02);
+        wires.frequency.setValueAtTime(800 * Math.pow(2, (s.tone / 100) * 3) * ratio, time);
+        bodyAmp.gain.cancelAndHoldAtTime(time);
+        burst(bodyAmp.gain, level * (1 - s.tone / 200), time, s.decay * 0.5);
+        wireAmp.gain.cancelAndHoldAtTime(time);
+        burst(wireAmp.gain, level * 0.7, time, s.decay);
+      },
+    };
+  },
+
+  // Metallic square partials and noise through a high-pass; tone sets the cut-off
+  hat: (out, freq) => {
+    const amp = new Tone.Gain(0).connect(out);
+    const filter = new Tone.Filter({ type: 'highpass', frequency: 7000, Q: 1 }).connect(amp);
+    const metal = new Tone.Gain(0.15).connect(filter);
+    const oscs = METAL_RATIOS.map(r => new Tone.Oscillator(freq * r, 'square').connect(metal).start());
+    const noiseLevel = new Tone.Gain(0.5).connect(filter);
+    return {
+      nodes: [amp, filter, metal, noiseLevel, ...oscs],
+      input: noiseLevel,
+      trigger(s, time, level, ratio) {
+        oscs.forEach((osc, i) => osc.frequency.setValueAtTime(freq * METAL_RATIOS[i] * ratio, time));
+        filter.frequency.setValueAtTime(3000 * Math.pow(2, (s.tone / 100) * 2) * ratio, time);
+        amp.gain.cancelAndHoldAtTime(time);
+        burst(amp.gain, level, time, s.decay);
+      },
+    };
+  },
+
+  // Three quick noise bursts and a tail through a band-pass; tone sets its centre
+  clap: (out, freq) => {
+    const amp = new Tone.Gain(0).connect(out);
+    const filter = new Tone.Filter({ type: 'bandpass', frequency: freq, Q: 2 }).connect(amp);
+    return {
+      nodes: [amp, filter],
+      input: filter,
+      trigger(s, time, level, ratio) {
+        filter.frequency.setValueAtTime(freq * Math.pow(2, (s.tone - 50) / 50) * ratio, time);
+        amp.gain.cancelAndHoldAtTime(time);
+        [0, 0.011, 0.022].forEach(t => burst(amp.gain, level, time + t, 0.01));
+        burst(amp.gain, level * 0.8, time + 0.033, s.decay);
+      },
+    };
+  },
+};
+
+// A synth voice for drum row `rowKey` playing into `out`. `noise` is the app's white
+// noise source; it has to be running for the noise parts to sound.
+export function createSynthDrum(rowKey, noise, out) {
+  const { voice, freq } = ROW_VOICES[rowKey];
+  const graph = VOICES[voice](out, freq);
+  if (graph.input) noise.connect(graph.input);
+  // High-passed noise click shared by every voice
+  const clickAmp = new Tone.Gain(0).connect(out);
+  const click = new Tone.Filter({ type: 'highpass', frequency: 3000 }).connect(clickAmp);
+  noise.connect(click);
+
+  return {
+    // `settings` as in DEFAULT_DRUM_SYNTH; `velocity` 1-100; `semis` extra tuning
+    trigger(settings, time, velocity, semis = 0) {
+      const level = velocity / 100;
+      graph.trigger(settings, time, level, Math.pow(2, (settings.tune + semis) / 12));
+      clickAmp.gain.cancelAndHoldAtTime(time);
+      burst(clickAmp.gain, level * (settings.snap / 100), time, CLICK_DECAY);
+    },
+
+    dispose() {
+      try {
+        if (graph.input) noise.disconnect(graph.input);
+        noise.disconnect(click);
+      } catch {
+        // the noise source was disposed first
+      }
+      [...graph.nodes, clickAmp, click].forEach(node => node.dispose());
+    },
+  };
+}
@@ -0,0 +1,289 @@
+import * as Tone from 'tone';
+
+// Slider value (0-100 etc.) to node value conversions, shared by the live chain and offline bounce
+export const filterFrequency = (filter) => 800 + (filter / 100) * 7000; // the old 0-100 cutoff slider
+export const distortionAmount = (distortion) => (distortion / 100) * 1.5;
+export const DELAY_TIME = 0.25; // seconds
+const MAX_DELAY = 4; // seconds
+
+export const FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'notch'];
+// 'free' uses the delay's own time in seconds; the rest follow the transport tempo
+export const DELAY_DIVISIONS = ['free', '2n', '4n.', '4n', '4t', '8n.', '8n', '8t', '16n', '16t'];
+export const OVERSAMPLING = ['none', '2x', '4x'];
+
+const REVERB_SETTLE = 200; // ms a reverb's decay and pre-delay stay put before it re-renders
+const reverbTimers = new WeakMap(); // reverb node -> pending re-render
+
+const percent = (key, label, value = 0) => ({ key, label, min: 0, max: 100, step: 1, default: value, unit: '' });
+
+// Seconds of a delay module at the current tempo
+export const delaySeconds = (p) => (p.division === 'free' ? p.time : Tone.Time(p.division).toSeconds());
+
+// Delay and Dub are the same module with different defaults
+const feedbackDelay = (label, time, feedback) => ({
+  label,
+  params: [
+    percent('wet', 'Mix'),
+    { key: 'division', label: 'Sync', options: DELAY_DIVISIONS, default: 'free' },
+    { key: 'time', label: 'Time', min: 0.01, max: 2, step: 0.01, default: time, unit: 's' },
+    percent('feedback', 'Feedback', feedback),
+  ],
+  create: p => new Tone.FeedbackDelay({ delayTime: delaySeconds(p), maxDelay: MAX_DELAY, feedback: p.feedback / 100, wet: p.wet / 100 }),
+  apply: (node, p, t) => {
+    node.wet.setValueAtTime(p.wet / 100, t);
+    node.delayTime.setValueAtTime(delaySeconds(p), t);
+    node.feedback.setValueAtTime(p.feedback / 100, t);
+  },
+});
+
+// Effect module types. Each has its parameters (sliders, or selects when they have
+// `options`; `scale: 'log'` sliders move exponentially) and
+//   create(p):          a new Tone node for params `p`
+//   apply(node, p, t):  set its audio params at audio time `t`
+//   set(node, p):       set its plain properties (immediately; not schedulable)
+//   upgrade(p):         params saved by an older version to the current ones
+export const EFFECT_TYPES = {
+  stutter: {
+    label: 'Stutter',
+    params: [percent('depth', 'Depth'), { key: 'rate', label: 'Rate', min: 1, max: 32, step: 1, default: 8, unit: 'Hz' }],
+    create: p => new Tone.Tremolo({ frequency: p.rate, depth: p.depth / 100 }).start(),
+    apply: (node, p, t) => {
+      node.depth.setValueAtTime(p.depth / 100, t);
+      node.frequency.setValueAtTime(p.rate, t);
+    },
+  },
+  distortion: {
+    label: 'Distortion',
+    params: [
+      percent('amount', 'Amount'),
+      { key: 'oversample', label: 'Oversample', options: OVERSAMPLING, default: 'none' },
+    ],
+    create: p => new Tone.Distortion({ distortion: distortionAmount(p.amount), oversample: p.oversample }),
+    set: (node, p) => {
+      node.distortion = distortionAmount(p.amount);
+      node.oversample = p.oversample;
+    },
+  },
+  filter: {
+    label: 'Filter',
+    params: [
+      { key: 'type', label: 'Type', options: FILTER_TYPES, default: 'lowpass' },
+      { key: 'frequency', label: 'Cutoff', min: 20, max: 20000, step: 1, default: 800, unit: 'Hz', scale: 'log' },
+      { key: 'q', label: 'Resonance', min: 0.1, max: 20, step: 0.1, default: 1, unit: '' },
+    ],
+    create: p => new Tone.Filter({ type: p.type, frequency: p.frequency, Q: p.q, rolloff: -24 }),
+    apply: (node, p, t) => {
+      node.frequency.setValueAtTime(p.frequency, t);
+      node.Q.setValueAtTime(p.q, t);
+    },
+    set: (node, p) => { node.type = p.type; },
+    // The cutoff used to be a linear 0-100 slider over 800-7800 Hz
+    upgrade: (p) => {
+      if (typeof p.cutoff !== 'number') return p;
+      const upgraded = { ...p, frequency: Math.round(filterFrequency(p.cutoff)) };
+      delete upgraded.cutoff;
+      return upgraded;
+    },
+  },
+  delay: feedbackDelay('Delay', DELAY_TIME, 40),
+  dub: feedbackDelay('Dub', 0.45, 70),
+  reverb: {
+    label: 'Reverb',
+    params: [
+      percent('wet', 'Mix'),
+      { key: 'decay', label: 'Decay', min: 0.1, max: 10, step: 0.1, default: 2, unit: 's' },
+      { key: 'preDelay', label: 'Pre-delay', min: 0, max: 0.5, step: 0.005, default: 0.01, unit: 's' },
+    ],
+    create: p => new Tone.Reverb({ decay: p.decay, preDelay: p.preDelay, wet: p.wet / 100 }),
+    apply: (node, p, t) => node.wet.setValueAtTime(p.wet / 100, t),
+    // Changing these re-renders the impulse response, so only once they've stopped
+    // changing (not on every slider tick)
+    set: (node, p) => {
+      clearTimeout(reverbTimers.get(node));
+      reverbTimers.delete(node);
+      if (node.decay === p.decay && node.preDelay === p.preDelay) return;
+      reverbTimers.set(node, setTimeout(() => {
+        reverbTimers.delete(node);
+        if (node.disposed) return;
+        if (node.decay !== p.decay) node.decay = p.decay;
+        if (node.preDelay !== p.preDelay) node.preDelay = p.preDelay;
+      }, REVERB_SETTLE));
+    },
+  },
+  pitch: {
+    label: 'PitchShift',
+    params: [{ key: 'pitch', label: 'Pitch', min: -12, max: 12, step: 1, default: 0, unit: 'st' }],
+    create: p => new Tone.PitchShift({ pitch: p.pitch }),
+    set: (node, p) => { node.pitch = p.pitch; },
+  },
+  compressor: {
+    label: 'Compressor',
+    params: [{ key: 'threshold', label: 'Threshold', min: -60, max: 0, step: 1, default: -24, unit: 'dB' }],
+    create: p => new Tone.Compressor({ threshold: p.threshold }),
+    apply: (node, p, t) => node.threshold.setValueAtTime(p.threshold, t),
+  },
+  chorus: {
+    label: 'Chorus',
+    params: [
+      { key: 'rate', label: 'Rate', min: 0.1, max: 10, step: 0.1, default: 1.5, unit: 'Hz' },
+      percent('depth', 'Depth', 70),
+      percent('wet', 'Mix', 50),
+    ],
+    create: p => new Tone.Chorus({ frequency: p.rate, delayTime: 3.5, depth: p.depth / 100, wet: p.wet / 100 }).start(),
+    apply: (node, p, t) => {
+      node.frequency.setValueAtTime(p.rate, t);
+      node.wet.setValueAtTime(p.wet / 100, t);
+    },
+    set: (node, p) => { node.depth = p.depth / 100; },
+  },
+  phaser: {
+    label: 'Phaser',
+    params: [
+      { key: 'rate', label: 'Rate', min: 0.1, max: 10, step: 0.1, default: 0.5, unit: 'Hz' },
+      { key: 'octaves', label: 'Octaves', min: 1, max: 6, step: 1, default: 3, unit: '' },
+      percent('wet', 'Mix', 50),
+    ],
+    create: p => new Tone.Phaser({ frequency: p.rate, octaves: p.octaves, baseFrequency: 350, wet: p.wet / 100 }),
+    apply: (node, p, t) => {
+      node.frequency.setValueAtTime(p.rate, t);
+      node.wet.setValueAtTime(p.wet / 100, t);
+    },
+    set: (node, p) => { node.octaves = p.octaves; },
+  },
+  bitcrusher: {
+    label: 'Bitcrusher',
+    params: [
+      { key: 'bits', label: 'Bits', min: 1, max: 16, step: 1, default: 8, unit: '' },
+      percent('wet', 'Mix', 100),
+    ],
+    create: p => new Tone.BitCrusher({ bits: p.bits, wet: p.wet / 100 }),
+    apply: (node, p, t) => {
+      node.bits.setValueAtTime(p.bits, t);
+      node.wet.setValueAtTime(p.wet / 100, t);
+    },
+  },
+  eq3: {
+    label: 'EQ3',
+    params: ['low', 'mid', 'high'].map(key => ({ key, label: key[0].toUpperCase() + key.slice(1), min: -24, max: 12, step: 1, default: 0, unit: 'dB' })),
+    create: p => new Tone.EQ3({ low: p.low, mid: p.mid, high: p.high }),
+    apply: (node, p, t) => ['low', 'mid', 'high'].forEach(key => node[key].setValueAtTime(p[key], t)),
+  },
+};
+
+export const defaultEffectParams = (type) =>
+  Object.fromEntries(EFFECT_TYPES[type].params.map(param => [param.key, param.default]));
+
+export const findEffectParam = (type, key) => EFFECT_TYPES[type].params.find(param => param.key === key);
+
+// Slider position (0-1) to a param value and back, honouring log scaling and the step
+export function sliderToParam(param, position) {
+  const raw = param.scale === 'log'
+    ? param.min * Math.pow(param.max / param.min, position)
+    : param.min + position * (param.max - param.min);
+  return Number((Math.round(raw / param.step) * param.step).toFixed(4));
+}
+
+export function paramToSlider(param, value) {
+  if (param.scale === 'log') return Math.log(value / param.min) / Math.log(param.max / param.min);
+  return (value - param.min) / (param.max - param.min);
+}
+
+let nextId = 0;
+
+// A new rack module of `type` with default params
+export function createEffect(type) {
+  return { id: `${type}-${Date.now().toString(36)}-${nextId++}`, type, bypass: false, params: defaultEffectParams(type) };
+}
+
+// The rack as it was before it became configurable, with the old flat preset
+// values (reverb, delay, filter, ...) where present
+export function legacyEffects(p = {}) {
+  const value = (key, fallback) => (typeof p[key] === 'number' ? p[key] : fallback);
+  const module = (type, params) => ({ id: type, type, bypass: false, params: { ...defaultEffectParams(type), ...params } });
+  return [
+    module('stutter', { depth: value('stutter', 0), rate: value('stutterRate', 8) }),
+    module('distortion', { amount: value('distortion', 0) }),
+    module('filter', { frequency: Math.round(filterFrequency(value('filter', 0))) }),
+    module('delay', { wet: value('delay', 0) }),
+    module('dub', { wet: value('dub', 0) }),
+    module('reverb', { wet: value('reverb', 0) }),
+    module('pitch', { pitch: value('pitch', 0) }),
+    module('compressor', { threshold: value('compressor', -24) }),
+  ];
+}
+
+// Keep well-formed modules of known types, filling missing params (for loading saved data)
+export function sanitizeEffects(effects) {
+  if (!Array.isArray(effects)) return null;
+  return effects
+    .filter(e => e && typeof e.id === 'string' && EFFECT_TYPES[e.type])
+    .map(e => {
+      const upgrade = EFFECT_TYPES[e.type].upgrade || (p => p);
+      const params = upgrade(e.params && typeof e.params === 'object' ? e.params : {});
+      return { id: e.id, type: e.type, bypass: Boolean(e.bypass), params: { ...defaultEffectParams(e.type), ...params } };
+    });
+}
+
+// Ordered, bypassable chain of effect modules between `input` and `output`.
+// `configure(effects)` adds, removes and reorders nodes to match the module list.
+export function createRack(input, output) {
+  let modules = []; // [{ id, type, node, bypass }], in chain order
+
+  function connect() {
+    input.disconnect();
+    modules.forEach(m => m.node.disconnect());
+    const active = modules.filter(m => !m.bypass).map(m => m.node);
+    if (active.length) input.chain(...active, output);
+    else input.connect(output);
+  }
+
+  connect();
+  return {
+    configure(effects) {
+      const next = effects.map(e => {
+        const existing = modules.find(m => m.id === e.id && m.type === e.type);
+        if (existing) return { ...existing, bypass: e.bypass };
+        return { id: e.id, type: e.type, bypass: e.bypass, node: EFFECT_TYPES[e.type].create(e.params) };
+      });
+      modules
+        .filter(m => !next.some(n => n.node === m.node))
+        .forEach(m => m.node.dispose());
+      const changed = next.length !== modules.length || next.some((m, i) => m.node !== modules[i].node || m.bypass !== modules[i].bypass);
+      modules = next;
+      if (changed) connect();
+    },
+
+    // Set params of the modules present in the rack (matched by id)
+    apply(effects, time) {
+      effects.forEach(e => {
+        const m = modules.find(mod => mod.id === e.id);
+        const type = EFFECT_TYPES[e.type];
+        if (m && type.apply) type.apply(m.node, e.params, time);
+      });
+    },
+
+    applySettings(effects) {
+      effects.forEach(e => {
+        const m = modules.find(mod => mod.id === e.id);
+        const type = EFFECT_TYPES[e.type];
+        if (m && type.set) type.set(m.node, e.params);
+      });
+    },
+
+    // First node of a type, e.g. for modulation targets
+    find(type) {
+      const m = modules.find(mod => mod.type === type);
+      return m ? m.node : null;
+    },
+
+    // Resolves when every node is ready (reverb impulse responses)
+    ready() {
+      return Promise.all(modules.map(m => m.node.ready).filter(Boolean));
+    },
+
+    dispose() {
+      modules.forEach(m => m.node.dispose());
+      modules = [];
+    },
+  };
+}
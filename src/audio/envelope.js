@@ -0,0 +1,74 @@
+import * as Tone from 'tone';
+
+// Per-voice amplitude ADSR and low-pass filter envelope. Times are seconds,
+// sustain levels 0-1, the filter envelope amount is in octaves above the cutoff.
+export const DEFAULT_ENVELOPE_SETTINGS = {
+  ampAttack: 0.005,
+  ampDecay: 0.2,
+  ampSustain: 1,
+  ampRelease: 0.05,
+  cutoff: 20000,
+  resonance: 1,
+  filterEnvAmount: 0,
+  filterEnvVelocity: 0, // 0 = velocity ignored, 1 = envelope amount scales fully with velocity
+  filterAttack: 0.005,
+  filterDecay: 0.3,
+  filterSustain: 0,
+  filterRelease: 0.3,
+};
+
+export const ENVELOPE_KEYS = Object.keys(DEFAULT_ENVELOPE_SETTINGS);
+
+export const MAX_CUTOFF = 20000;
+const MIN_TIME = 0.002; // shortest ramp, keeps instant settings click-free
+
+// Filter frequency `octaves` above the cutoff, kept in the audible range
+function cutoffAt(env, octaves) {
+  return Math.min(MAX_CUTOFF, env.cutoff * Math.pow(2, octaves));
+}
+
+// The amp ramps from wherever it is now, so retriggers and steals don't click
+export function envelopeAttack(amp, filter, env, velocity, time = Tone.now()) {
+  const peak = velocity / 100;
+  const attackEnd = time + Math.max(MIN_TIME, env.ampAttack);
+  amp.cancelAndHoldAtTime(time);
+  amp.linearRampToValueAtTime(peak, attackEnd);
+  amp.linearRampToValueAtTime(peak * env.ampSustain, attackEnd + Math.max(MIN_TIME, env.ampDecay));
+
+  const amount = env.filterEnvAmount * (1 - env.filterEnvVelocity + env.filterEnvVelocity * peak);
+  const filterAttackEnd = time + Math.max(MIN_TIME, env.filterAttack);
+  // The filter envelope restarts from the cutoff on every note
+  filter.cancelScheduledValues(time);
+  filter.setValueAtTime(env.cutoff, time);
+  filter.exponentialRampToValueAtTime(cutoffAt(env, amount), filterAttackEnd);
+  filter.exponentialRampToValueAtTime(cutoffAt(env, amount * env.filterSustain), filterAttackEnd + Math.max(MIN_TIME, env.filterDecay));
+}
+
+// Returns the audio time at which the note has fully faded out
+export function envelopeRelease(amp, filter, env, time = Tone.now()) {
+  const end = time + Math.max(MIN_TIME, env.ampRelease);
+  amp.cancelAndHoldAtTime(time);
+  amp.linearRampToValueAtTime(0, end);
+  filter.cancelAndHoldAtTime(time);
+  filter.exponentialRampToValueAtTime(env.cutoff, time + Math.max(MIN_TIME, env.filterRelease));
+  return end;
+}
+
+// Level (0-1) of a voice's amp or filter envelope at `now`, for use as a modulation
+// source. `stage` is 'amp' or 'filter'; mirrors the ramps above.
+export function envelopeLevel(voice, stage, now) {
+  const env = voice.env;
+  const attack = Math.max(MIN_TIME, env[`${stage}Attack`]);
+  const decay = Math.max(MIN_TIME, env[`${stage}Decay`]);
+  const sustain = env[`${stage}Sustain`];
+  const release = Math.max(MIN_TIME, env[`${stage}Release`]);
+  const held = (t) => {
+    if (t < 0) return 0;
+    if (t < attack) return t / attack;
+    if (t < attack + decay) return 1 - (1 - sustain) * (t - attack) / decay;
+    return sustain;
+  };
+  if (voice.releaseTime === null || now < voice.releaseTime) return held(now - voice.startTime);
+  const since = now - voice.releaseTime;
+  return since >= release ? 0 : held(voice.releaseTime - voice.startTime) * (1 - since / release);
+}
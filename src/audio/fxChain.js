@@ -0,0 +1,47 @@
+import * as Tone from 'tone';
+import { createRack } from './effects';
+
+// Build the master chain in the current Tone context:
+// noises -> noiseGains -> input -> effects rack (p.effects, in order) -> master
+export function createFxChain(p) {
+  const chain = {
+    gain: new Tone.Gain(0.5),
+    whiteNoise: new Tone.Noise('white'),
+    pinkNoise: new Tone.Noise('pink'),
+    brownNoise: new Tone.Noise('brown'),
+    whiteGain: new Tone.Gain(p.whiteLevel / 100),
+    pinkGain: new Tone.Gain(p.pinkLevel / 100),
+    brownGain: new Tone.Gain(p.brownLevel / 100),
+    // Notes and drums enter here
+    input: new Tone.Gain(1),
+    master: new Tone.Gain(1),
+  };
+  chain.whiteNoise.connect(chain.whiteGain);
+  chain.pinkNoise.connect(chain.pinkGain);
+  chain.brownNoise.connect(chain.brownGain);
+  chain.gain.connect(chain.input);
+  chain.whiteGain.connect(chain.input);
+  chain.pinkGain.connect(chain.input);
+  chain.brownGain.connect(chain.input);
+  chain.rack = createRack(chain.input, chain.master);
+  chain.rack.configure(p.effects);
+  return chain;
+}
+
+// Set the noise levels and effect params of sound `p` at an audio time (parameter locks;
+// the rack itself is only rebuilt when the effects list changes)
+export function applyFxParams(chain, p, time) {
+  chain.whiteGain.gain.setValueAtTime(p.whiteLevel / 100, time);
+  chain.pinkGain.gain.setValueAtTime(p.pinkLevel / 100, time);
+  chain.brownGain.gain.setValueAtTime(p.brownLevel / 100, time);
+  chain.rack.apply(p.effects, time);
+}
+
+// Settings that are plain properties rather than audio params; they apply immediately
+export function applyFxSettings(chain, p) {
+  chain.rack.applySettings(p.effects);
+}
+
+export function disposeFxChain(chain) {
+  Object.values(chain).forEach(node => node.dispose());
+}
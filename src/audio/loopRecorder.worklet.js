@@ -0,0 +1,40 @@
+// Audio worklet behind the looper: records its input from a given audio frame for a
+// given number of frames, then posts the take back as one Float32Array per channel.
+// Messages in: { start, frames } to arm a take, { cancel: true } to drop it.
+class LoopRecorder extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.take = null;
+    this.port.onmessage = (e) => {
+      if (e.data.cancel) {
+        this.take = null;
+        return;
+      }
+      const { start, frames } = e.data;
+      this.take = { start, frames, channels: [new Float32Array(frames), new Float32Array(frames)] };
+    };
+  }
+
+  process(inputs) {
+    const take = this.take;
+    if (!take) return true;
+    const input = inputs[0];
+    const blockSize = input.length ? input[0].length : 128;
+    // First frame of this block that belongs to the take (0 if it should have started already)
+    const from = Math.max(0, take.start - currentFrame);
+    if (from >= blockSize) return true;
+    const offset = currentFrame + from - take.start;
+    const count = Math.min(blockSize - from, take.frames - offset);
+    if (count > 0 && input.length) {
+      // Mono input fills both channels
+      take.channels.forEach((channel, c) => channel.set(input[Math.min(c, input.length - 1)].subarray(from, from + count), offset));
+    }
+    if (offset + count >= take.frames) {
+      this.port.postMessage(take.channels, take.channels.map(channel => channel.buffer));
+      this.take = null;
+    }
+    return true;
+  }
+}
+
+registerProcessor('loop-recorder', LoopRecorder);
@@ -0,0 +1,123 @@
+import * as Tone from 'tone';
+import { STEPS_PER_BAR } from './transport';
+import { addWorkletModule } from './worklets';
+
+export const LOOP_BARS = [1, 2, 4, 8];
+
+// A looper layer, as the app keeps it:
+//   startStep: transport step its take started on; steps: length of the take in steps
+//   speed:     looper speed while recording (1, or 0.5 at half speed)
+//   reversed:  looper direction while recording
+// Playing at the speed and direction it was recorded in, a layer sounds as played.
+
+// Live looper on `source` (the master output). Takes are recorded sample-exact by an audio
+// worklet; every layer is a player the step clock restarts at the top of its cycle, so
+// layers stay on the beat and can join mid-loop on any bar line. Plays into `destination`.
+// Rejects where AudioWorklet isn't available.
+export async function createLooper(source, destination) {
+  const context = Tone.getContext();
+  await addWorkletModule(context, new URL('./loopRecorder.worklet.js', import.meta.url).href);
+  const recorder = context.createAudioWorkletNode('loop-recorder', { numberOfInputs: 1, numberOfOutputs: 1 });
+  Tone.connect(source, recorder);
+  // Only pulled while connected; it outputs silence
+  Tone.connect(recorder, context.destination);
+  const output = new Tone.Gain(1).connect(destination);
+  const players = new Map(); // layer id -> { player, running }
+  let pending = null; // resolves the take being recorded
+  let restart = false;
+  recorder.port.onmessage = (e) => {
+    if (pending) pending(e.data);
+    pending = null;
+  };
+
+  const stopPlayer = (entry, time) => {
+    if (entry.running) entry.player.stop(time);
+    entry.running = false;
+  };
+
+  return {
+    output,
+
+    // Record `seconds` from audio `time`. Resolves with a ToneAudioBuffer, or null if cancelled.
+    record(time, seconds) {
+      if (pending) pending(null);
+      return new Promise(resolve => {
+        pending = resolve;
+        recorder.port.postMessage({ start: Math.round(time * context.sampleRate), frames: Math.round(seconds * context.sampleRate) });
+      }).then(channels => channels && Tone.ToneAudioBuffer.fromArray(channels));
+    },
+
+    cancel() {
+      recorder.port.postMessage({ cancel: true });
+      if (pending) pending(null);
+      pending = null;
+    },
+
+    // A new take, playing straight away from where its loop is now; its cycle began at audio time `from`
+    addLayer(id, buffer, from) {
+      const entry = { player: new Tone.Player(buffer).connect(output), running: true };
+      players.set(id, entry);
+      entry.player.start(Tone.now(), Math.max(0, Tone.now() - from));
+    },
+
+    removeLayer(id) {
+      const entry = players.get(id);
+      if (!entry) return;
+      stopPlayer(entry);
+      entry.player.dispose();
+      players.delete(id);
+    },
+
+    // Silences a layer now; unmuted, it comes back in on the next bar line
+    mute(id) {
+      const entry = players.get(id);
+      if (entry) stopPlayer(entry);
+    },
+
+    // Speed or direction changed: every layer restarts on the next bar line
+    restart() {
+      restart = true;
+    },
+
+    // Call on every step of the transport. `layers` as described above;
+    // `speed` 1 or 0.5, `reverse` the looper's direction.
+    step(layers, step, time, stepDuration, { speed, reverse }) {
+      if (step % STEPS_PER_BAR !== 0) return;
+      layers.forEach(layer => {
+        const entry = players.get(layer.id);
+        if (!entry) return;
+        if (layer.muted) {
+          stopPlayer(entry, time);
+          return;
+        }
+        const rate = speed / layer.speed;
+        const cycle = layer.steps / rate;
+        const pos = (((step - layer.startStep) % cycle) + cycle) % cycle;
+        if (pos !== 0 && entry.running && !restart) return;
+        const backwards = reverse !== layer.reversed;
+        if (entry.player.playbackRate !== rate) entry.player.playbackRate = rate;
+        if (entry.player.reverse !== backwards) entry.player.reverse = backwards;
+        entry.player.start(time, pos * stepDuration * rate);
+        entry.running = true;
+      });
+      restart = false;
+    },
+
+    // Transport stopped: layers start again with it
+    stop() {
+      players.forEach(entry => stopPlayer(entry));
+    },
+
+    setLevel(level) {
+      output.gain.value = level;
+    },
+
+    dispose() {
+      this.cancel();
+      players.forEach(entry => entry.player.dispose());
+      players.clear();
+      recorder.disconnect();
+      output.dispose();
+    },
+  };
+}
@@ -0,0 +1,174 @@
+import * as Tone from 'tone';
+import { envelopeLevel } from './envelope';
+import { updateVoiceMod } from './voice';
+import { DELAY_TIME, delaySeconds } from './effects';
+
+export const LFO_SHAPES = ['sine', 'triangle', 'square', 'sawtooth', 'sampleHold'];
+export const LFO_DIVISIONS = ['1m', '2n', '4n', '8n', '16n', '4t', '8t'];
+export const MAX_LFO_RATE = 20; // Hz
+export const MAX_ROUTES = 8;
+
+export const MOD_SOURCES = [
+  { key: 'lfo1', label: 'LFO 1' },
+  { key: 'lfo2', label: 'LFO 2' },
+  { key: 'lfo3', label: 'LFO 3' },
+  { key: 'ampEnv', label: 'Amp env' },
+  { key: 'filterEnv', label: 'Filter env' },
+  { key: 'velocity', label: 'Velocity' },
+  { key: 'modWheel', label: 'Mod wheel' },
+];
+
+// `range` is the offset at full depth. Per-voice destinations are modulated
+// separately for every voice; the rest take per-voice sources from the newest note.
+export const MOD_DESTINATIONS = [
+  { key: 'cutoff', label: 'Filter cutoff', range: 4800, perVoice: true }, // cents
+  { key: 'oscMix', label: 'Osc mix', range: 0.5, perVoice: true },
+  { key: 'detune', label: 'Osc 2 detune', range: 100, perVoice: true }, // cents
+  { key: 'pitch', label: 'Pitch', range: 1200, perVoice: true }, // cents
+  { key: 'whiteLevel', label: 'White noise', range: 1 },
+  { key: 'pinkLevel', label: 'Pink noise', range: 1 },
+  { key: 'brownLevel', label: 'Brown noise', range: 1 },
+  { key: 'delayTime', label: 'Delay time', range: DELAY_TIME },
+  { key: 'reverbWet', label: 'Reverb wet', range: 1 },
+];
+
+export const DEFAULT_LFO = { shape: 'sine', rate: 2, sync: false, division: '4n' };
+export const DEFAULT_MOD_ROUTE = { source: 'lfo1', dest: 'cutoff', depth: 0.5 };
+
+export const DEFAULT_MOD_SETTINGS = {
+  lfos: [DEFAULT_LFO, DEFAULT_LFO, DEFAULT_LFO],
+  modRoutes: [], // [{ source, dest, depth (-1..1) }]
+};
+
+// Seconds between modulation updates
+const UPDATE_INTERVAL = 1 / 60;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// Params of the first rack module of a type
+const firstEffect = (p, type) => (p.effects.find(e => e.type === type) || { params: {} }).params;
+
+// Global destinations: the param they drive (null if its effect isn't in the rack),
+// its unmodulated value and limits
+const GLOBAL_TARGETS = {
+  whiteLevel: { param: chain => chain.whiteGain.gain, base: p => p.whiteLevel / 100, min: 0, max: 1 },
+  pinkLevel: { param: chain => chain.pinkGain.gain, base: p => p.pinkLevel / 100, min: 0, max: 1 },
+  brownLevel: { param: chain => chain.brownGain.gain, base: p => p.brownLevel / 100, min: 0, max: 1 },
+  delayTime: { param: chain => chain.rack.find('delay')?.delayTime, base: p => delaySeconds(firstEffect(p, 'delay')), min: 0.001, max: 2 },
+  reverbWet: { param: chain => chain.rack.find('reverb')?.wet, base: p => firstEffect(p, 'reverb').wet / 100, min: 0, max: 1 },
+};
+
+// Bipolar (-1..1) value of an LFO; advances its phase by `dt` seconds.
+// Synced LFOs follow the transport position while it runs.
+function advanceLfo(lfo, state, dt) {
+  const transport = Tone.getTransport();
+  if (lfo.sync && transport.state === 'started') {
+    state.phase = transport.ticks / Tone.Time(lfo.division).toTicks();
+  } else {
+    state.phase += dt * (lfo.sync ? 1 / Tone.Time(lfo.division).toSeconds() : lfo.rate);
+  }
+  const cycle = Math.floor(state.phase);
+  const x = state.phase - cycle;
+  switch (lfo.shape) {
+    case 'triangle': return 1 - 4 * Math.abs(x - 0.5);
+    case 'square': return x < 0.5 ? 1 : -1;
+    case 'sawtooth': return 2 * x - 1;
+    case 'sampleHold':
+      if (cycle !== state.cycle) {
+        state.cycle = cycle;
+        state.held = Math.random() * 2 - 1;
+      }
+      return state.held;
+    default: return Math.sin(2 * Math.PI * x);
+  }
+}
+
+// Control-rate modulation of the voices and the effect chain. Runs on the Tone
+// context clock, so it also works inside Tone.Offline renders.
+// Destinations without routes are left alone.
+export function createModMatrix(chain, voices) {
+  let settings = DEFAULT_MOD_SETTINGS;
+  let base = null; // current unmodulated params
+  let modWheel = 0;
+  const lfoStates = [];
+  let modulated = new Set(); // global destinations written last update
+  let last = Tone.now();
+
+  const sourceValue = (source, lfoValues, voice, now) => {
+    if (source.startsWith('lfo')) return lfoValues[Number(source.slice(3)) - 1] || 0;
+    if (source === 'modWheel') return modWheel;
+    if (!voice) return 0;
+    if (source === 'velocity') return voice.velocity / 100;
+    if (source === 'ampEnv') return envelopeLevel(voice, 'amp', now);
+    if (source === 'filterEnv') return envelopeLevel(voice, 'filter', now);
+    return 0;
+  };
+
+  function update() {
+    const now = Tone.now();
+    const dt = Math.max(0, now - last);
+    last = now;
+    if (!base) return;
+    const lfoValues = settings.lfos.map((lfo, i) => {
+      lfoStates[i] = lfoStates[i] || { phase: 0, cycle: null, held: 0 };
+      return advanceLfo(lfo, lfoStates[i], dt);
+    });
+    const routes = settings.modRoutes.filter(r => r.depth && MOD_SOURCES.some(s => s.key === r.source));
+    const destination = (key) => MOD_DESTINATIONS.find(d => d.key === key);
+
+    let newest = null;
+    voices.forEachVoice(voice => {
+      if (!newest || voice.startedAt > newest.startedAt) newest = voice;
+      const mod = { cutoff: 0, oscMix: 0, detune: 0, pitch: 0 };
+      routes.forEach(r => {
+        const dest = destination(r.dest);
+        if (dest && dest.perVoice) mod[r.dest] += sourceValue(r.source, lfoValues, voice, now) * r.depth * dest.range;
+      });
+      if (Object.keys(mod).some(key => mod[key] !== voice.mod[key])) {
+        voice.mod = mod;
+        updateVoiceMod(voice, UPDATE_INTERVAL);
+      }
+    });
+
+    const next = new Set();
+    routes.forEach(r => { if (GLOBAL_TARGETS[r.dest]) next.add(r.dest); });
+    next.forEach(key => {
+      const target = GLOBAL_TARGETS[key];
+      const param = target.param(chain);
+      if (!param) return;
+      const offset = routes
+        .filter(r => r.dest === key)
+        .reduce((sum, r) => sum + sourceValue(r.source, lfoValues, newest, now) * r.depth * destination(key).range, 0);
+      param.linearRampTo(clamp(target.base(base) + offset, target.min, target.max), UPDATE_INTERVAL);
+    });
+    // Routes removed since the last update: back to the plain value
+    modulated.forEach(key => {
+      const param = GLOBAL_TARGETS[key].param(chain);
+      if (!next.has(key) && param) param.value = GLOBAL_TARGETS[key].base(base);
+    });
+    modulated = next;
+  }
+
+  const id = Tone.getContext().setInterval(update, UPDATE_INTERVAL);
+
+  return {
+    // { lfos, modRoutes }, as stored in presets
+    setSettings(next) {
+      settings = { ...settings, ...next };
+    },
+
+    // The full unmodulated param snapshot (preset fields)
+    setBase(params) {
+      base = params;
+    },
+
+    // 0-1
+    setModWheel(value) {
+      modWheel = value;
+    },
+
+    dispose() {
+      Tone.getContext().clearInterval(id);
+    },
+  };
+}
@@ -0,0 +1,31 @@
+export const MP3_BITRATES = [128, 192, 320];
+
+// Encode an AudioBuffer to MP3 in a Web Worker so long takes don't block the UI.
+// `onProgress` receives 0-1 while encoding. Resolves with an audio/mpeg Blob.
+export function encodeMp3(audioBuffer, { bitrate = 192, stereo = true } = {}, onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./mp3Worker.js', import.meta.url), { type: 'module' });
+    const channels = [];
+    for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+      // Copy so the transfer doesn't detach the AudioBuffer's own data
+      channels.push(audioBuffer.getChannelData(i).slice());
+    }
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.progress);
+        return;
+      }
+      worker.terminate();
+      if (data.type === 'done') resolve(data.blob);
+      else reject(new Error(data.message));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e.message));
+    };
+    worker.postMessage(
+      { channels, sampleRate: audioBuffer.sampleRate, bitrate, stereo },
+      channels.map(ch => ch.buffer),
+    );
+  });
+}
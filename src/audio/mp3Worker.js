@@ -0,0 +1,58 @@
+import lamejs from 'lamejs';
+import MPEGMode from 'lamejs/src/js/MPEGMode';
+import Lame from 'lamejs/src/js/Lame';
+import BitStream from 'lamejs/src/js/BitStream';
+
+// lamejs 1.2.1 reads these as globals when run from its module sources
+self.MPEGMode = MPEGMode;
+self.Lame = Lame;
+self.BitStream = BitStream;
+
+const BLOCK_SIZE = 1152; // samples per MP3 frame
+const PROGRESS_EVERY = BLOCK_SIZE * 64;
+
+function toInt16(samples) {
+  const out = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    out[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  }
+  return out;
+}
+
+// Downmix to mono by averaging all channels
+function mixDown(channels) {
+  if (channels.length === 1) return channels[0];
+  const out = new Float32Array(channels[0].length);
+  for (let i = 0; i < out.length; i++) {
+    let sum = 0;
+    for (const ch of channels) sum += ch[i];
+    out[i] = sum / channels.length;
+  }
+  return out;
+}
+
+// Input: { channels: Float32Array[], sampleRate, bitrate, stereo }
+// Output: { type: 'progress', progress } messages, then { type: 'done', blob } or { type: 'error', message }
+self.onmessage = ({ data }) => {
+  try {
+    const { sampleRate, bitrate } = data;
+    const stereo = data.stereo && data.channels.length > 1;
+    const left = toInt16(stereo ? data.channels[0] : mixDown(data.channels));
+    const right = stereo ? toInt16(data.channels[1]) : null;
+    const encoder = new lamejs.Mp3Encoder(stereo ? 2 : 1, sampleRate, bitrate);
+    const chunks = [];
+    for (let i = 0; i < left.length; i += BLOCK_SIZE) {
+      const l = left.subarray(i, i + BLOCK_SIZE);
+      const mp3 = stereo ? encoder.encodeBuffer(l, right.subarray(i, i + BLOCK_SIZE)) : encoder.encodeBuffer(l);
+      if (mp3.length > 0) chunks.push(new Uint8Array(mp3));
+      if (i % PROGRESS_EVERY === 0) self.postMessage({ type: 'progress', progress: i / left.length });
+    }
+    const end = encoder.flush();
+    if (end.length > 0) chunks.push(new Uint8Array(end));
+    self.postMessage({ type: 'progress', progress: 1 });
+    self.postMessage({ type: 'done', blob: new Blob(chunks, { type: 'audio/mpeg' }) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
@@ -0,0 +1,90 @@
+import { tablePartials } from './wavetable';
+
+// Oscillator modes of Osc 1 and Osc 2 (`osc1Type`/`osc2Type`); the first four are plain waves
+export const OSC_MODES = ['sine', 'square', 'triangle', 'sawtooth', 'pulse', 'pwm', 'supersaw', 'fm', 'am', 'wavetable'];
+
+// Mode settings, stored per oscillator as osc1<key>/osc2<key> (osc1Width, ...).
+// `modes`: the modes that use the setting.
+export const OSC_SHAPE_PARAMS = [
+  { key: 'Width', label: 'Width', min: 5, max: 95, step: 1, unit: '%', modes: ['pulse'] },
+  { key: 'PwmRate', label: 'Rate', min: 0.1, max: 20, step: 0.1, unit: 'Hz', modes: ['pwm'] },
+  { key: 'Voices', label: 'Voices', min: 2, max: 8, step: 1, unit: '', modes: ['supersaw'] },
+  { key: 'Spread', label: 'Spread', min: 0, max: 100, step: 1, unit: '¢', modes: ['supersaw'] },
+  { key: 'Ratio', label: 'Ratio', min: 0.25, max: 16, step: 0.25, unit: '', modes: ['fm', 'am'] },
+  { key: 'Index', label: 'Index', min: 0, max: 50, step: 0.5, unit: '', modes: ['fm'] },
+  { key: 'Position', label: 'Position', min: 0, max: 1, step: 0.01, unit: '', modes: ['wavetable'] },
+];
+
+const SHAPE_DEFAULTS = { Width: 50, PwmRate: 1, Voices: 5, Spread: 30, Ratio: 2, Index: 5, Position: 0 };
+
+export const oscKey = (n, key) => `osc${n}${key}`;
+
+export const MAX_COARSE = 24; // semitones either way
+export const SUB_TYPES = ['square', 'sine'];
+
+// Wavetables (see wavetable.js) are null for the built-in table. Besides the modes:
+//   osc1Coarse/osc2Coarse: semitones; subLevel 0-1, subOctave 1 or 2 below Osc 1;
+//   oscSync: Osc 2 hard-synced to Osc 1; ringLevel 0-1: Osc 1 times Osc 2
+export const DEFAULT_OSC_SETTINGS = {
+  ...Object.fromEntries([1, 2].flatMap(n => [
+    ...OSC_SHAPE_PARAMS.map(p => [oscKey(n, p.key), SHAPE_DEFAULTS[p.key]]),
+    [oscKey(n, 'Wavetable'), null],
+  ])),
+  osc1Coarse: 0,
+  osc2Coarse: 0,
+  subLevel: 0,
+  subOctave: 1,
+  subType: 'square',
+  oscSync: false,
+  ringLevel: 0,
+};
+
+export const OSC_SHAPE_KEYS = [1, 2].flatMap(n => OSC_SHAPE_PARAMS.map(p => oscKey(n, p.key)));
+export const OSC_TABLE_KEYS = [oscKey(1, 'Wavetable'), oscKey(2, 'Wavetable')];
+// Every setting here a sequencer step can lock (not the wavetables)
+export const OSC_LOCK_KEYS = [...OSC_SHAPE_KEYS, 'osc1Coarse', 'osc2Coarse', 'subLevel', 'subOctave', 'subType', 'oscSync', 'ringLevel'];
+
+// Tone.OmniOscillator types of the modes that aren't plain waves (wavetables are partials)
+const TONE_TYPES = { supersaw: 'fatsawtooth', fm: 'fmsine', am: 'amsine' };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+// What oscillator `n` (1 or 2) plays in sound `p`: its mode and the settings it uses,
+// kept in range (unknown modes play a sine)
+export function oscShape(p, n) {
+  const type = p[oscKey(n, 'Type')];
+  const mode = OSC_MODES.includes(type) ? type : 'sine';
+  const shape = { mode };
+  OSC_SHAPE_PARAMS.filter(param => param.modes.includes(mode)).forEach(param => {
+    const value = Number(p[oscKey(n, param.key)]);
+    shape[param.key] = Number.isFinite(value) ? clamp(value, param.min, param.max) : SHAPE_DEFAULTS[param.key];
+  });
+  if (mode === 'wavetable') shape.table = p[oscKey(n, 'Wavetable')];
+  return shape;
+}
+
+const sameShape = (a, b) => !!a && Object.keys(a).length === Object.keys(b).length && Object.keys(b).every(key => a[key] === b[key]);
+
+// Set a Tone.OmniOscillator to `shape`. `prev` is the shape it has, so an unchanged one
+// (a wavetable rebuilds its periodic wave) isn't set again. Returns `shape`.
+export function applyOscShape(osc, shape, prev) {
+  if (sameShape(prev, shape)) return shape;
+  const { mode } = shape;
+  if (mode === 'wavetable') {
+    if (osc.sourceType !== 'oscillator') osc.type = 'sine';
+    osc.partials = tablePartials(shape.table, shape.Position);
+  } else {
+    const type = TONE_TYPES[mode] || mode;
+    if (osc.type !== type) osc.type = type;
+  }
+  // Tone's pulse width is 0 for a square, towards 1 for thin pulses
+  if (mode === 'pulse') osc.width.value = 1 - shape.Width / 50;
+  if (mode === 'pwm') osc.modulationFrequency.value = shape.PwmRate;
+  if (mode === 'supersaw') {
+    osc.count = Math.round(shape.Voices);
+    osc.spread = shape.Spread;
+  }
+  if (mode === 'fm' || mode === 'am') osc.harmonicity.value = shape.Ratio;
+  if (mode === 'fm') osc.modulationIndex.value = shape.Index;
+  return shape;
+}
@@ -0,0 +1,113 @@
+import * as Tone from 'tone';
+import { ENVELOPE_KEYS } from './envelope';
+import { OSC_LOCK_KEYS } from './oscillator';
+import { EFFECT_TYPES, findEffectParam } from './effects';
+import { applyFxParams, applyFxSettings } from './fxChain';
+
+// Sequencer steps lock single parameters, keyed like the preset ('cutoff', 'whiteLevel', ...)
+// or 'fx:<module id>:<param key>' for effect params. Voice locks play with the step's
+// notes; the rest act on the shared chain and revert when the step ends.
+export const VOICE_LOCK_KEYS = ['osc1Type', 'osc2Type', ...OSC_LOCK_KEYS, 'osc1Detune', 'osc2Detune', 'oscMix', 'osc2Enabled', ...ENVELOPE_KEYS];
+export const NOISE_LOCK_KEYS = ['whiteLevel', 'pinkLevel', 'brownLevel'];
+
+const FX_PREFIX = 'fx:';
+export const fxLockKey = (id, param) => `${FX_PREFIX}${id}:${param}`;
+const isFxLock = (key) => key.startsWith(FX_PREFIX);
+const isLockKey = (key) => VOICE_LOCK_KEYS.includes(key) || NOISE_LOCK_KEYS.includes(key) || isFxLock(key);
+
+// { id, param } of an effect lock key (module ids have no colons)
+function parseFxLock(key) {
+  const [id, param] = key.slice(FX_PREFIX.length).split(':');
+  return { id, param };
+}
+
+// Drop unknown keys and values that aren't numbers, strings or booleans
+export function sanitizeLocks(locks) {
+  if (!locks || typeof locks !== 'object' || Array.isArray(locks)) return {};
+  return Object.fromEntries(Object.entries(locks).filter(([key, value]) =>
+    isLockKey(key) && ['number', 'string', 'boolean'].includes(typeof value) && (typeof value !== 'number' || Number.isFinite(value))));
+}
+
+export const voiceLocks = (locks) => Object.fromEntries(Object.entries(locks).filter(([key]) => VOICE_LOCK_KEYS.includes(key)));
+export const hasGlobalLocks = (locks) => Object.keys(locks).some(key => !VOICE_LOCK_KEYS.includes(key));
+
+// The sound `base` with `locks` applied. Locks on modules no longer in the rack are ignored.
+export function withLocks(base, locks) {
+  const synth = Object.fromEntries(Object.entries(locks).filter(([key]) => !isFxLock(key)));
+  const effects = base.effects.map(e => {
+    const locked = Object.keys(e.params).filter(param => fxLockKey(e.id, param) in locks);
+    if (!locked.length) return e;
+    return { ...e, params: { ...e.params, ...Object.fromEntries(locked.map(param => [param, locks[fxLockKey(e.id, param)]])) } };
+  });
+  return { ...base, ...synth, effects };
+}
+
+// The locks taking `base` to `sound`: every lockable value that differs between them
+export function diffLocks(base, sound) {
+  const locks = {};
+  [...VOICE_LOCK_KEYS, ...NOISE_LOCK_KEYS].forEach(key => {
+    if (key in sound && sound[key] !== base[key]) locks[key] = sound[key];
+  });
+  (sound.effects || []).forEach(e => {
+    const before = base.effects.find(b => b.id === e.id && b.type === e.type);
+    if (!before) return;
+    Object.keys(e.params).forEach(param => {
+      if (e.params[param] !== before.params[param]) locks[fxLockKey(e.id, param)] = e.params[param];
+    });
+  });
+  return locks;
+}
+
+// Human-readable name of a lock, e.g. 'Reverb Mix'
+export function describeLock(key, effects) {
+  if (!isFxLock(key)) return key;
+  const { id, param } = parseFxLock(key);
+  const module = effects.find(e => e.id === id);
+  if (!module) return `${id} ${param}`;
+  const info = findEffectParam(module.type, param);
+  return `${EFFECT_TYPES[module.type].label} ${info ? info.label : param}`;
+}
+
+const lockNoise = new WeakSet(); // noise sources a lock started
+
+// Schedule a step's chain locks (noise levels, effect params) from `time` and revert them
+// at `end`. Effect settings that are plain properties can't be automated; they switch on
+// the context clock. `live` is for playback while the sound can change:
+//   sound():         the settings to revert to, read at `end` so knobs moved meanwhile stay
+//   keepNoise(type): the live settings use that noise source; else a source a lock
+//                    started stops at `end`
+// Without it, `base` is put back, scheduled right away (offline renders).
+export function scheduleGlobalLocks(chain, base, locks, time, end, live) {
+  if (!hasGlobalLocks(locks)) return;
+  const locked = withLocks(base, locks);
+  const context = chain.input.context;
+  const hasFxLocks = Object.keys(locks).some(isFxLock);
+  // Noise sources stopped at level 0 are started for the lock
+  ['white', 'pink', 'brown'].forEach(type => {
+    const noise = chain[`${type}Noise`];
+    if (locked[`${type}Level`] > 0 && noise.state !== 'started') {
+      noise.start(time);
+      lockNoise.add(noise);
+    }
+  });
+  applyFxParams(chain, locked, time);
+  if (hasFxLocks) context.setTimeout(() => applyFxSettings(chain, locked), Math.max(0, time - context.currentTime));
+  if (!live) {
+    applyFxParams(chain, base, end);
+    if (hasFxLocks) context.setTimeout(() => applyFxSettings(chain, base), Math.max(0, end - context.currentTime));
+    return;
+  }
+  // Runs as the scheduler reaches `end`, before the next step's locks are scheduled there
+  context.setTimeout(() => {
+    const sound = live.sound();
+    const at = Math.max(end, context.currentTime);
+    applyFxParams(chain, sound, at);
+    if (hasFxLocks) applyFxSettings(chain, sound);
+    ['white', 'pink', 'brown'].forEach(type => {
+      const noise = chain[`${type}Noise`];
+      if (!lockNoise.has(noise)) return;
+      lockNoise.delete(noise);
+      if (!live.keepNoise(type) && noise.state === 'started') noise.stop(at);
+    });
+  }, Math.max(0, end - context.now()));
+}
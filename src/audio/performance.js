@@ -0,0 +1,137 @@
+// Performance settings, applied between the keys (keyboard, note buttons, MIDI in) and the voices:
+//   root/scale: scale lock, every key snaps to the nearest note of the key (root 0 = C)
+//   chord:      a key plays a chord voicing from CHORD_SHAPES; chordCustom: the semitones of 'custom'
+//   arp:        arpeggiator, see arpeggiator.js
+export const KEY_SCALES = [
+  { key: 'chromatic', label: 'Off', steps: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  { key: 'major', label: 'Major', steps: [0, 2, 4, 5, 7, 9, 11] },
+  { key: 'minor', label: 'Minor', steps: [0, 2, 3, 5, 7, 8, 10] },
+  { key: 'harmonicMinor', label: 'Harmonic minor', steps: [0, 2, 3, 5, 7, 8, 11] },
+  { key: 'dorian', label: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+  { key: 'phrygian', label: 'Phrygian', steps: [0, 1, 3, 5, 7, 8, 10] },
+  { key: 'lydian', label: 'Lydian', steps: [0, 2, 4, 6, 7, 9, 11] },
+  { key: 'mixolydian', label: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+  { key: 'majorPentatonic', label: 'Major pentatonic', steps: [0, 2, 4, 7, 9] },
+  { key: 'minorPentatonic', label: 'Minor pentatonic', steps: [0, 3, 5, 7, 10] },
+  { key: 'blues', label: 'Blues', steps: [0, 3, 5, 6, 7, 10] },
+];
+
+// `degrees`: thirds stacked in the locked scale (the major scale with the lock off);
+// `intervals`: semitones above the key, whatever the scale
+export const CHORD_SHAPES = [
+  { key: 'off', label: 'Off', intervals: [0] },
+  { key: 'triad', label: 'Triad', degrees: [0, 2, 4] },
+  { key: 'seventh', label: '7th', degrees: [0, 2, 4, 6] },
+  { key: 'major', label: 'Major', intervals: [0, 4, 7] },
+  { key: 'minor', label: 'Minor', intervals: [0, 3, 7] },
+  { key: 'sus2', label: 'Sus2', intervals: [0, 2, 7] },
+  { key: 'sus4', label: 'Sus4', intervals: [0, 5, 7] },
+  { key: 'dom7', label: 'Dom7', intervals: [0, 4, 7, 10] },
+  { key: 'maj7', label: 'Maj7', intervals: [0, 4, 7, 11] },
+  { key: 'min7', label: 'Min7', intervals: [0, 3, 7, 10] },
+  { key: 'power', label: 'Power', intervals: [0, 7, 12] },
+  { key: 'custom', label: 'Custom' },
+];
+export const MAX_CHORD_NOTES = 8;
+export const CHORD_RANGE = 36; // semitones either way of the key
+
+export const ARP_ORDERS = [
+  { key: 'up', label: 'Up' },
+  { key: 'down', label: 'Down' },
+  { key: 'updown', label: 'Up/Down' },
+  { key: 'random', label: 'Random' },
+  { key: 'played', label: 'As played' },
+];
+// Transport note values
+export const ARP_RATES = [
+  { key: '4n', label: '1/4' },
+  { key: '8n', label: '1/8' },
+  { key: '8t', label: '1/8T' },
+  { key: '16n', label: '1/16' },
+  { key: '16t', label: '1/16T' },
+  { key: '32n', label: '1/32' },
+];
+export const MAX_ARP_OCTAVES = 4;
+export const MIN_ARP_GATE = 0.05;
+
+// octaves: range the held notes repeat over; gate: part of each note's length it sounds
+export const DEFAULT_ARP = { enabled: false, order: 'up', rate: '16n', octaves: 1, gate: 0.5 };
+
+export const DEFAULT_PERFORMANCE = { root: 0, scale: 'chromatic', chord: 'off', chordCustom: [0, 4, 7], arp: DEFAULT_ARP };
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const mod12 = (n) => ((n % 12) + 12) % 12;
+const scaleSteps = (key) => (KEY_SCALES.find(s => s.key === key) || KEY_SCALES[0]).steps;
+
+// MIDI `note` moved to the nearest note of the scale; halfway between two, the lower one
+export function snapToScale(note, root, scale) {
+  const pc = mod12(note - root);
+  const best = [...scaleSteps(scale), 12].reduce((a, b) => (Math.abs(b - pc) < Math.abs(a - pc) ? b : a));
+  return note + best - pc;
+}
+
+// Semitones of a stack of scale `degrees` on `note`. A note outside the scale keeps the
+// shape of the degree below it.
+function stackDegrees(note, root, scale, degrees) {
+  const steps = scale === 'chromatic' ? scaleSteps('major') : scaleSteps(scale);
+  const pc = mod12(note - root);
+  let i = steps.length - 1;
+  while (steps[i] > pc) i--;
+  return degrees.map(d => {
+    const k = i + d;
+    return steps[k % steps.length] + 12 * Math.floor(k / steps.length) - steps[i];
+  });
+}
+
+// Custom chord text ("0 4 7 11") to semitones, or null if it has none
+export function parseChordShape(text) {
+  const intervals = String(text).split(/[\s,]+/).filter(Boolean).map(Number);
+  if (!intervals.length || !intervals.every(Number.isInteger)) return null;
+  return [...new Set(intervals.map(n => clamp(n, -CHORD_RANGE, CHORD_RANGE)))].slice(0, MAX_CHORD_NOTES);
+}
+
+// The MIDI notes key `note` plays with settings `p`, the key's own note first
+export function performNotes(note, p) {
+  const key = snapToScale(note, p.root, p.scale);
+  const shape = CHORD_SHAPES.find(c => c.key === p.chord) || CHORD_SHAPES[0];
+  const intervals = shape.degrees
+    ? stackDegrees(key, p.root, p.scale, shape.degrees)
+    : shape.intervals || p.chordCustom;
+  return [...new Set(intervals.map(i => key + i))].filter(n => n >= 0 && n <= 127);
+}
+
+// The notes an arpeggio steps through, from [{ note, velocity }] in the order they were
+// pressed. 'random' picks from the 'up' order.
+export function arpSequence(notes, order, octaves) {
+  const played = notes.filter((n, i) => notes.findIndex(m => m.note === n.note) === i);
+  const base = order === 'played' ? played : played.slice().sort((a, b) => a.note - b.note);
+  const up = Array.from({ length: octaves }, (_, o) => base.map(n => ({ ...n, note: n.note + 12 * o })))
+    .flat()
+    .filter(n => n.note <= 127);
+  if (order === 'down') return up.reverse();
+  if (order === 'updown') return [...up, ...up.slice(1, -1).reverse()];
+  return up;
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const oneOf = (list, value, fallback) => (list.some(item => item.key === value) ? value : fallback);
+const num = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+// Stored performance settings, with anything invalid replaced by the default
+export function sanitizePerformance(p) {
+  const src = isObject(p) ? p : {};
+  const arp = isObject(src.arp) ? src.arp : {};
+  return {
+    root: mod12(Math.round(num(src.root, 0))),
+    scale: oneOf(KEY_SCALES, src.scale, DEFAULT_PERFORMANCE.scale),
+    chord: oneOf(CHORD_SHAPES, src.chord, DEFAULT_PERFORMANCE.chord),
+    chordCustom: (Array.isArray(src.chordCustom) && parseChordShape(src.chordCustom.join(' '))) || DEFAULT_PERFORMANCE.chordCustom,
+    arp: {
+      enabled: arp.enabled === true,
+      order: oneOf(ARP_ORDERS, arp.order, DEFAULT_ARP.order),
+      rate: oneOf(ARP_RATES, arp.rate, DEFAULT_ARP.rate),
+      octaves: clamp(Math.round(num(arp.octaves, DEFAULT_ARP.octaves)), 1, MAX_ARP_OCTAVES),
+      gate: clamp(num(arp.gate, DEFAULT_ARP.gate), MIN_ARP_GATE, 1),
+    },
+  };
+}
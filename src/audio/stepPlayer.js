@@ -0,0 +1,43 @@
+import { midiNoteNumber } from '../midi/midiOutput';
+import { voiceLocks, scheduleGlobalLocks } from './paramLocks';
+
+// Plays step sequencer steps (see project/patterns.js) on a voice manager, all on the
+// audio clock: chords start at the step's time and are released after the gate, or
+// carried into the next step by a tie. Locks never touch the base sound: voice locks
+// go with the step's notes, chain locks are automated for the length of the step.
+// `getFreq(name, octave)` gives a note's frequency (0 if unknown); `live` is how chain
+// locks revert during live playback (see scheduleGlobalLocks).
+export function createStepPlayer(voices, chain, getFreq, live) {
+  let tied = []; // MIDI notes a tie is holding over
+
+  return {
+    // `length`: seconds to the next step; `base`: the sound the locks apply to.
+    // Returns the notes started: [{ note, velocity }] (MIDI note numbers).
+    play(step, time, length, base) {
+      const notes = step
+        ? step.notes
+          .map(n => ({ note: midiNoteNumber(n.note, n.octave), freq: getFreq(n.note, n.octave), velocity: n.velocity }))
+          .filter(n => n.freq)
+        : [];
+      // Tied notes this step doesn't play again end here
+      tied.filter(note => !notes.some(n => n.note === note)).forEach(note => voices.noteOff(note, time));
+      const held = tied;
+      tied = step && step.tie ? notes.map(n => n.note) : [];
+      if (!step) return [];
+
+      scheduleGlobalLocks(chain, base, step.locks, time, time + length, live);
+      const locks = voiceLocks(step.locks);
+      const env = Object.keys(locks).length ? { ...base, ...locks } : undefined;
+      const started = notes.filter(n => !held.includes(n.note));
+      started.forEach(n => voices.noteOn(n.note, n.freq, n.velocity, time, env));
+      if (!step.tie) notes.forEach(n => voices.noteOff(n.note, time + step.gate * length));
+      return started.map(({ note, velocity }) => ({ note, velocity }));
+    },
+
+    // Let go of tied notes (the sequencer stopped)
+    release(time) {
+      tied.forEach(note => voices.noteOff(note, time));
+      tied = [];
+    },
+  };
+}
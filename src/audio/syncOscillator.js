@@ -0,0 +1,33 @@
+import * as Tone from 'tone';
+import { addWorkletModule } from './worklets';
+
+// Waves the synced Osc 2 can play, by the worklet's `shape` number
+export const SYNC_WAVES = ['sine', 'square', 'triangle', 'sawtooth'];
+
+const ready = new WeakSet(); // raw contexts the worklet is loaded into
+
+// Load the sync oscillator into `context`. Rejects where AudioWorklet isn't available.
+export async function loadSyncOscillator(context = Tone.getContext()) {
+  await addWorkletModule(context, new URL('./syncOscillator.worklet.js', import.meta.url).href);
+  ready.add(context.rawContext);
+}
+
+export const syncOscillatorReady = (context) => ready.has(context.rawContext);
+
+// A hard-synced oscillator in `context` (see syncOscillator.worklet.js), playing into
+// `destination`. Its params are Tone params, so they automate like the other oscillators'.
+export function createSyncOscillator(context, destination) {
+  const node = context.createAudioWorkletNode('sync-oscillator', { numberOfInputs: 0, numberOfOutputs: 1, outputChannelCount: [1] });
+  Tone.connect(node, destination);
+  const param = (name, units) => new Tone.Param({ context, param: node.parameters.get(name), units });
+  return {
+    frequency: param('frequency', 'frequency'),
+    masterDetune: param('masterDetune', 'cents'),
+    slaveDetune: param('slaveDetune', 'cents'),
+    shape: param('shape', 'number'),
+    dispose() {
+      node.disconnect();
+      [this.frequency, this.masterDetune, this.slaveDetune, this.shape].forEach(p => p.dispose());
+    },
+  };
+}
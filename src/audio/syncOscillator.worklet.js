@@ -0,0 +1,52 @@
+// Audio worklet behind hard sync: Osc 2 (the slave) restarts its cycle whenever a
+// master oscillator at Osc 1's pitch starts one. Both pitches are `frequency` detuned
+// by their own cents. Waveforms are computed directly, so high notes alias a little.
+// `shape`: 0 sine, 1 square, 2 triangle, 3 sawtooth.
+const WAVES = [
+  (p) => Math.sin(2 * Math.PI * p),
+  (p) => (p < 0.5 ? 1 : -1),
+  (p) => 1 - 4 * Math.abs(p - 0.5),
+  (p) => 2 * p - 1,
+];
+
+class SyncOscillator extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'frequency', defaultValue: 440, minValue: 0, maxValue: 20000 },
+      { name: 'masterDetune', defaultValue: 0, automationRate: 'k-rate' },
+      { name: 'slaveDetune', defaultValue: 0, automationRate: 'k-rate' },
+      { name: 'shape', defaultValue: 3, minValue: 0, maxValue: 3, automationRate: 'k-rate' },
+    ];
+  }
+
+  constructor() {
+    super();
+    this.master = 0; // phases, 0-1
+    this.slave = 0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const out = outputs[0][0];
+    const freqs = parameters.frequency;
+    const masterRatio = Math.pow(2, parameters.masterDetune[0] / 1200);
+    const slaveRatio = Math.pow(2, parameters.slaveDetune[0] / 1200);
+    const wave = WAVES[Math.max(0, Math.min(3, Math.round(parameters.shape[0])))];
+    for (let i = 0; i < out.length; i++) {
+      const freq = freqs.length > 1 ? freqs[i] : freqs[0];
+      const masterStep = (freq * masterRatio) / sampleRate;
+      const slaveStep = (freq * slaveRatio) / sampleRate;
+      this.master += masterStep;
+      this.slave += slaveStep;
+      if (this.master >= 1) {
+        this.master -= Math.floor(this.master);
+        // The slave restarts where the master did, between samples
+        this.slave = masterStep > 0 ? (this.master / masterStep) * slaveStep : 0;
+      }
+      this.slave -= Math.floor(this.slave);
+      out[i] = wave(this.slave);
+    }
+    return true;
+  }
+}
+
+registerProcessor('sync-oscillator', SyncOscillator);
@@ -0,0 +1,70 @@
+import * as Tone from 'tone';
+
+// Master transport shared by every sequencer. One step is one beat at the
+// transport BPM, like the old per-sequencer tempo sliders.
+export const STEP = '4n';
+export const STEPS_PER_BAR = 4;
+export const MIN_BPM = 60;
+export const MAX_BPM = 400;
+
+// Seconds the scheduler looks ahead of the audio clock
+export const LOOK_AHEAD = 0.1;
+
+export function setTransportBpm(bpm) {
+  Tone.getTransport().bpm.value = bpm;
+}
+
+// Seconds of one step at the current BPM
+export function stepSeconds() {
+  return Tone.Time(STEP).toSeconds();
+}
+
+// Steps (fractional) the transport has counted at audio `time`, as scheduleSteps counts them
+export function stepAtTime(time) {
+  const transport = Tone.getTransport();
+  return transport.getTicksAtTime(time) / transport.PPQ;
+}
+
+// Swing (0-1) delays every odd step by up to half a step.
+// Tone's own swing skips downbeats, so a quarter-note grid would never swing.
+export function swingOffset(step, swing) {
+  return step % 2 === 1 ? swing * stepSeconds() / 2 : 0;
+}
+
+// Schedule `callback(step, time)` on every step of the transport.
+// `step` counts from 0 since the last stop, so each sequencer can wrap it
+// by its own length and stay locked to the others.
+export function scheduleSteps(callback, getSwing = () => 0) {
+  const transport = Tone.getTransport();
+  Tone.getContext().lookAhead = LOOK_AHEAD;
+  let step = 0;
+  const reset = () => { step = 0; };
+  transport.on('stop', reset);
+  const id = transport.scheduleRepeat(time => {
+    callback(step, time + swingOffset(step, getSwing()));
+    step++;
+  }, STEP, 0);
+  return () => {
+    transport.clear(id);
+    transport.off('stop', reset);
+  };
+}
+
+export async function startTransport() {
+  await Tone.start();
+  const transport = Tone.getTransport();
+  if (transport.state !== 'started') transport.start();
+}
+
+export function pauseTransport() {
+  Tone.getTransport().pause();
+}
+
+export function stopTransport() {
+  Tone.getTransport().stop();
+}
+
+// Run `fn` on the animation frame closest to the scheduled audio time
+export function atAudioTime(fn, time) {
+  Tone.getDraw().schedule(fn, time);
+}
@@ -0,0 +1,142 @@
+// Tunings as in Scala (https://www.huygens-fokker.org/scala/):
+//   scale:  { name, cents }, the degrees above the tonic in cents; the last one is the
+//           period the scale repeats at (1200 for an octave). null is 12-TET.
+//   keymap: { name, size, first, last, middle, octaveDegree, mapping } from a .kbm file:
+//           MIDI notes first-last are retuned, `middle` plays the tonic, and keys step
+//           through `mapping` (scale degrees, null for silent keys; empty = one degree per
+//           key), repeating every `size` keys a degree `octaveDegree` higher. null maps linearly.
+//   refNote/refFreq: the MIDI note tuned to a frequency, A4 = 440 Hz unless changed
+export const DEFAULT_TUNING = { scale: null, keymap: null, refNote: 69, refFreq: 440 };
+export const MIN_REF_FREQ = 20;
+export const MAX_REF_FREQ = 2000;
+const MAX_DEGREES = 1024;
+const isMidiNote = (n) => n >= 0 && n <= 127;
+const clampNote = (n) => Math.max(0, Math.min(127, n));
+
+export class ScalaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScalaError';
+  }
+}
+
+const ratioCents = (ratio) => 1200 * Math.log2(ratio);
+const fromRatios = (name, ratios) => ({ name, cents: ratios.map(([a, b]) => ratioCents(a / b)) });
+const equalSteps = (name, steps, period = 1200) => ({ name, cents: Array.from({ length: steps }, (_, i) => ((i + 1) * period) / steps) });
+
+export const TWELVE_TET = equalSteps('12-TET', 12);
+
+export const BUILT_IN_SCALES = [
+  TWELVE_TET,
+  fromRatios('Just intonation', [[16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [9, 5], [15, 8], [2, 1]]),
+  fromRatios('Pythagorean', [[256, 243], [9, 8], [32, 27], [81, 64], [4, 3], [729, 512], [3, 2], [128, 81], [27, 16], [16, 9], [243, 128], [2, 1]]),
+  equalSteps('19-EDO', 19),
+  equalSteps('31-EDO', 31),
+  // 13 equal steps of the tritave (3:1) instead of the octave
+  equalSteps('Bohlen–Pierce', 13, ratioCents(3)),
+];
+
+// Lines of a Scala file without comments ('!') and surrounding blanks
+const dataLines = (text) => text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+
+// A pitch line: cents if it has a period, a ratio ('3/2' or '2') otherwise
+function parsePitch(line) {
+  const token = line.trim().split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = Number(token);
+    if (Number.isFinite(cents)) return cents;
+  } else {
+    const [a, b = '1'] = token.split('/');
+    const ratio = Number(a) / Number(b);
+    if (/^\d+$/.test(a) && /^\d+$/.test(b) && ratio > 0 && Number.isFinite(ratio)) return ratioCents(ratio);
+  }
+  throw new ScalaError(`Invalid pitch "${line.trim()}".`);
+}
+
+// A .scl file's contents to a scale; `fallbackName` is used if it has no description
+export function parseScl(text, fallbackName = 'Custom') {
+  const lines = dataLines(text);
+  if (lines.length < 2) throw new ScalaError('Not a Scala scale file.');
+  const count = Number(lines[1].trim().split(/\s+/)[0]);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_DEGREES) throw new ScalaError('Invalid number of notes.');
+  const pitches = lines.slice(2).filter(line => line.trim());
+  if (pitches.length < count) throw new ScalaError(`Expected ${count} pitches, found ${pitches.length}.`);
+  const cents = pitches.slice(0, count).map(parsePitch);
+  if (cents[count - 1] <= 0) throw new ScalaError('The scale has to repeat above its tonic.');
+  return { name: lines[0].trim() || fallbackName, cents };
+}
+
+// A .kbm file's contents to a keymap and its reference { keymap, refNote, refFreq }
+export function parseKbm(text, name = 'Custom') {
+  const lines = dataLines(text).map(line => line.trim()).filter(Boolean);
+  const field = (i) => (lines[i] === undefined ? NaN : Number(lines[i].split(/\s+/)[0]));
+  const [size, first, last, middle, refNote, refFreq, octaveDegree] = [0, 1, 2, 3, 4, 5, 6].map(field);
+  if (![size, first, last, middle, refNote, octaveDegree].every(Number.isInteger) || !(refFreq > 0)) {
+    throw new ScalaError('Not a Scala keyboard mapping file.');
+  }
+  if (size < 0 || size > MAX_DEGREES) throw new ScalaError('Invalid map size.');
+  if (!isMidiNote(middle)) throw new ScalaError('The middle note has to be a MIDI note (0-127).');
+  if (!isMidiNote(refNote)) throw new ScalaError('The reference note has to be a MIDI note (0-127).');
+  // Entries missing at the end are silent keys
+  const mapping = Array.from({ length: size }, (_, i) => {
+    const entry = lines[7 + i] ? lines[7 + i].split(/\s+/)[0] : 'x';
+    const degree = Number(entry);
+    return entry.toLowerCase() === 'x' || !Number.isInteger(degree) || degree < 0 ? null : degree;
+  });
+  return {
+    keymap: { name, size, first: clampNote(first), last: clampNote(last), middle, octaveDegree, mapping },
+    refNote,
+    refFreq: Math.max(MIN_REF_FREQ, Math.min(MAX_REF_FREQ, refFreq)),
+  };
+}
+
+// Cents of scale degree `degree` (any integer) above the tonic
+function degreeCents(cents, degree) {
+  const periods = Math.floor(degree / cents.length);
+  const i = degree - periods * cents.length;
+  return periods * cents[cents.length - 1] + (i === 0 ? 0 : cents[i - 1]);
+}
+
+// Cents of MIDI `note` above the middle note, or null for keys the keymap leaves silent
+function noteCents(tuning, note) {
+  const cents = (tuning.scale || TWELVE_TET).cents;
+  const map = tuning.keymap;
+  if (!map) return degreeCents(cents, note - 60);
+  if (note < map.first || note > map.last) return null;
+  const key = note - map.middle;
+  if (!map.size) return degreeCents(cents, key);
+  const repeats = Math.floor(key / map.size);
+  const degree = map.mapping[key - repeats * map.size];
+  if (degree === null) return null;
+  return repeats * degreeCents(cents, map.octaveDegree) + degreeCents(cents, degree);
+}
+
+// Frequency of MIDI `note` in `tuning`, 0 for silent keys. If the reference note is
+// silent, the middle note stands in for it.
+export function tuningFreq(tuning, note) {
+  const cents = noteCents(tuning, note);
+  if (cents === null) return 0;
+  const ref = noteCents(tuning, tuning.refNote) ?? 0;
+  return tuning.refFreq * Math.pow(2, (cents - ref) / 1200);
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isInt = (v) => Number.isInteger(v);
+
+// A stored tuning, with anything invalid replaced by the default
+export function sanitizeTuning(tuning) {
+  if (!isObject(tuning)) return DEFAULT_TUNING;
+  const { scale, keymap } = tuning;
+  const validScale = isObject(scale) && Array.isArray(scale.cents) && scale.cents.length > 0 && scale.cents.length <= MAX_DEGREES
+    && scale.cents.every(Number.isFinite) && scale.cents[scale.cents.length - 1] > 0;
+  const validKeymap = isObject(keymap) && [keymap.size, keymap.first, keymap.last, keymap.middle, keymap.octaveDegree].every(isInt)
+    && keymap.size >= 0 && keymap.size <= MAX_DEGREES && isMidiNote(keymap.middle)
+    && Array.isArray(keymap.mapping) && keymap.mapping.length === keymap.size
+    && keymap.mapping.every(d => d === null || (isInt(d) && d >= 0));
+  return {
+    scale: validScale ? { name: String(scale.name || 'Custom'), cents: scale.cents } : null,
+    keymap: validKeymap ? { ...keymap, name: String(keymap.name || 'Custom'), first: clampNote(keymap.first), last: clampNote(keymap.last) } : null,
+    refNote: isInt(tuning.refNote) && isMidiNote(tuning.refNote) ? tuning.refNote : DEFAULT_TUNING.refNote,
+    refFreq: Number.isFinite(tuning.refFreq) ? Math.max(MIN_REF_FREQ, Math.min(MAX_REF_FREQ, tuning.refFreq)) : DEFAULT_TUNING.refFreq,
+  };
+}
@@ -0,0 +1,159 @@
+import * as Tone from 'tone';
+import { DEFAULT_ENVELOPE_SETTINGS, envelopeAttack, envelopeRelease } from './envelope';
+import { oscShape, applyOscShape, SUB_TYPES } from './oscillator';
+import { SYNC_WAVES, syncOscillatorReady, createSyncOscillator } from './syncOscillator';
+
+// One pre-allocated synth voice: osc1 + osc2 (in any mode of oscillator.js) crossfaded
+// by `oscMix`, plus a sub-oscillator under osc1 and osc1 ring-modulated by osc2, through
+// a low-pass filter into an amp gain, both driven by the voice's envelopes.
+//   osc2 -> osc2Free ---> osc2Bus -> osc2Gain -> filter
+//   sync -> osc2Synced -^        \-> ring (times osc1) -> ringGain -> filter
+// Hard sync swaps osc2 for a synced copy (syncOscillator.js), made the first time it's on.
+// The oscillators run for the voice's whole life; notes only move frequency and amp,
+// so starting a note allocates nothing.
+export function createVoice(destination) {
+  const voice = {
+    osc1: new Tone.OmniOscillator({ type: 'sine', frequency: 440 }).start(),
+    osc2: new Tone.OmniOscillator({ type: 'sine', frequency: 440 }).start(),
+    sub: new Tone.Oscillator({ type: 'square', frequency: 440 }).start(),
+    sync: null,
+    shapes: [null, null], // oscillator shapes set (see oscillator.js)
+    osc1Gain: new Tone.Gain(0.5),
+    osc2Free: new Tone.Gain(1),
+    osc2Synced: new Tone.Gain(0),
+    osc2Bus: new Tone.Gain(1),
+    osc2Gain: new Tone.Gain(0.5),
+    subGain: new Tone.Gain(0),
+    ring: new Tone.Multiply(0), // osc2 sets the factor
+    ringGain: new Tone.Gain(0),
+    filter: new Tone.Filter({ type: 'lowpass', frequency: DEFAULT_ENVELOPE_SETTINGS.cutoff, rolloff: -12 }),
+    amp: new Tone.Gain(0),
+    note: null, // MIDI note number while sounding
+    velocity: 0,
+    startedAt: 0, // allocation order, for oldest-voice stealing
+    detuneOffset: 0, // cents, for unison spread
+    params: DEFAULT_ENVELOPE_SETTINGS,
+    env: DEFAULT_ENVELOPE_SETTINGS, // settings of the current note, used for its release
+    locked: false, // the current note has its own settings (sequencer parameter locks)
+    releaseEnd: 0, // audio time the last released note has faded out
+    startTime: 0, // audio times of the last note on/off, for envelope mod sources
+    releaseTime: null,
+    bend: 0,
+    mod: { cutoff: 0, oscMix: 0, detune: 0, pitch: 0 }, // offsets from the mod matrix
+  };
+  voice.osc1.fan(voice.osc1Gain, voice.ring);
+  voice.osc2.connect(voice.osc2Free);
+  voice.osc2Free.connect(voice.osc2Bus);
+  voice.osc2Synced.connect(voice.osc2Bus);
+  voice.osc2Bus.fan(voice.osc2Gain, voice.ring.factor);
+  voice.sub.connect(voice.subGain);
+  voice.ring.connect(voice.ringGain);
+  [voice.osc1Gain, voice.osc2Gain, voice.subGain, voice.ringGain].forEach(gain => gain.connect(voice.filter));
+  voice.filter.connect(voice.amp);
+  voice.amp.connect(destination);
+  return voice;
+}
+
+// Set the oscillators to the modes and mode settings in `p`. The synced osc2 plays its
+// basic wave, or a sawtooth for the other modes.
+function setVoiceShapes(voice, p) {
+  voice.shapes = [voice.osc1, voice.osc2].map((osc, i) => applyOscShape(osc, oscShape(p, i + 1), voice.shapes[i]));
+  const subType = SUB_TYPES.includes(p.subType) ? p.subType : SUB_TYPES[0];
+  if (voice.sub.type !== subType) voice.sub.type = subType;
+  if (p.oscSync && !voice.sync && syncOscillatorReady(voice.osc1.context)) {
+    voice.sync = createSyncOscillator(voice.osc1.context, voice.osc2Synced);
+    voice.sync.frequency.value = voice.osc1.frequency.value;
+    updateVoiceMod(voice);
+  }
+  if (voice.sync) {
+    const wave = SYNC_WAVES.indexOf(p.osc2Type);
+    voice.sync.shape.value = wave < 0 ? SYNC_WAVES.indexOf('sawtooth') : wave;
+  }
+}
+
+// Apply oscillator and envelope settings; `bend` is extra detune in cents (pitch bend).
+// Envelope changes apply from the next note; a locked note keeps its own settings.
+export function setVoiceParams(voice, p, bend = 0) {
+  voice.params = p;
+  voice.bend = bend;
+  if (!voice.locked) {
+    setVoiceShapes(voice, p);
+    voice.filter.Q.value = p.resonance;
+  }
+  updateVoiceMod(voice);
+}
+
+// Detune, mix and cutoff offset from the note's settings plus `voice.mod`.
+// `rampTime` glides to the new values (mod matrix updates) instead of jumping;
+// `time` sets them at that audio time instead.
+export function updateVoiceMod(voice, rampTime = 0, time) {
+  const p = voice.locked ? voice.env : voice.params;
+  const mod = voice.mod;
+  const set = (param, value) => {
+    if (time !== undefined) param.setValueAtTime(value, time);
+    else if (rampTime) param.linearRampTo(value, rampTime);
+    else param.value = value;
+  };
+  const detune = voice.detuneOffset + voice.bend + mod.pitch;
+  const osc1Detune = p.osc1Detune + p.osc1Coarse * 100 + detune;
+  const osc2Detune = p.osc2Detune + p.osc2Coarse * 100 + detune + mod.detune;
+  set(voice.osc1.detune, osc1Detune);
+  set(voice.osc2.detune, osc2Detune);
+  // The sub follows osc1's pitch
+  set(voice.sub.detune, osc1Detune - (p.subOctave === 2 ? 2400 : 1200));
+  // Linear crossfade: osc1 = (1-oscMix), osc2 = oscMix (if enabled)
+  const mix = p.osc2Enabled ? Math.max(0, Math.min(1, p.oscMix + mod.oscMix)) : 0;
+  set(voice.osc1Gain.gain, 1 - mix);
+  set(voice.osc2Gain.gain, mix);
+  set(voice.subGain.gain, p.subLevel);
+  set(voice.ringGain.gain, p.osc2Enabled ? p.ringLevel : 0);
+  const synced = p.oscSync && voice.sync !== null;
+  set(voice.osc2Free.gain, synced ? 0 : 1);
+  set(voice.osc2Synced.gain, synced ? 1 : 0);
+  if (voice.sync) {
+    set(voice.sync.masterDetune, osc1Detune);
+    set(voice.sync.slaveDetune, osc2Detune);
+  }
+  set(voice.filter.detune, mod.cutoff);
+}
+
+export function setVoiceFrequency(voice, freq, time) {
+  [voice.osc1, voice.osc2, voice.sub, voice.sync].forEach(osc => osc && osc.frequency.setValueAtTime(freq, time));
+}
+
+// Oscillator shapes and filter resonance of the current note from `time`. Shapes are
+// mostly plain properties, so they switch on the context clock rather than sample-exact.
+function scheduleNoteSettings(voice, time) {
+  const p = voice.env;
+  const context = Tone.getContext();
+  context.setTimeout(() => setVoiceShapes(voice, p), Math.max(0, time - context.currentTime));
+  voice.filter.Q.setValueAtTime(p.resonance, time);
+  updateVoiceMod(voice, 0, time);
+}
+
+// Start a note; `time` is on the audio clock (undefined = now).
+// `env` overrides the voice's oscillator and envelope settings for this note
+// (sequencer steps with parameter locks); the next plain note goes back to the voice's own.
+export function startVoice(voice, note, freq, velocity, time, env = voice.params) {
+  const wasLocked = voice.locked;
+  voice.note = note;
+  voice.velocity = velocity;
+  voice.env = env;
+  voice.locked = env !== voice.params;
+  voice.startTime = time ?? Tone.now();
+  voice.releaseTime = null;
+  if (voice.locked || wasLocked) scheduleNoteSettings(voice, voice.startTime);
+  setVoiceFrequency(voice, freq, time);
+  envelopeAttack(voice.amp.gain, voice.filter.frequency, env, velocity, time);
+}
+
+// Release the note; it keeps ringing for the envelope's release time
+export function stopVoice(voice, time) {
+  voice.note = null;
+  voice.releaseTime = time ?? Tone.now();
+  voice.releaseEnd = envelopeRelease(voice.amp.gain, voice.filter.frequency, voice.env, time);
+}
+
+export function disposeVoice(voice) {
+  ['osc1', 'osc2', 'sub', 'sync', 'osc1Gain', 'osc2Free', 'osc2Synced', 'osc2Bus', 'osc2Gain', 'subGain', 'ring', 'ringGain', 'filter', 'amp'].forEach(key => voice[key]?.dispose());
+}
@@ -0,0 +1,171 @@
+import * as Tone from 'tone';
+import { createVoice, setVoiceParams, setVoiceFrequency, startVoice, stopVoice, disposeVoice, updateVoiceMod } from './voice';
+
+export const VOICE_MODES = ['poly', 'mono', 'legato', 'unison'];
+export const STEAL_MODES = ['oldest', 'quietest'];
+export const MAX_POLYPHONY = 16;
+export const MAX_UNISON = 8;
+
+export const DEFAULT_VOICE_SETTINGS = {
+  voiceMode: 'poly',
+  polyphony: 8,
+  voiceSteal: 'oldest',
+  unisonVoices: 4,
+  unisonSpread: 20, // cents between the outermost unison voices
+};
+
+// Allocates notes (keyed by MIDI note number) onto a pre-allocated pool of voices.
+//   poly:   one voice per note, stealing the oldest or quietest when the pool is full
+//   mono:   one voice, every note retriggers; releasing falls back to the last held note
+//   legato: like mono, but overlapping notes only change pitch
+//   unison: mono with `unisonVoices` voices stacked and spread by `unisonSpread` cents,
+//           each at 1/√N so the stack is about as loud as one voice
+export function createVoiceManager(destination, initialSettings = DEFAULT_VOICE_SETTINGS) {
+  let settings = { ...DEFAULT_VOICE_SETTINGS, ...initialSettings };
+  let params = null;
+  let bend = 0;
+  let pool = [];
+  let poolGain = null; // the pool's voices mix into this
+  let order = 0;
+  let stack = []; // held notes, oldest first: [{ note, freq, velocity, env }] (mono modes)
+
+  const isMono = () => settings.voiceMode !== 'poly';
+
+  function poolSize() {
+    if (settings.voiceMode === 'poly') return Math.max(1, Math.min(MAX_POLYPHONY, settings.polyphony));
+    if (settings.voiceMode === 'unison') return Math.max(2, Math.min(MAX_UNISON, settings.unisonVoices));
+    return 1;
+  }
+
+  // Spread unison voices symmetrically around the centre pitch
+  const spreadOffset = (i, size) => settings.unisonSpread * (i / (size - 1) - 0.5);
+
+  function rebuild() {
+    // Let the old voices ring out before their nodes go
+    const old = pool;
+    const oldGain = poolGain;
+    if (old.length) {
+      old.forEach(voice => { if (voice.note !== null) stopVoice(voice); });
+      const fadeOut = Math.max(...old.map(voice => voice.releaseEnd)) - Tone.now();
+      Tone.getContext().setTimeout(() => {
+        old.forEach(disposeVoice);
+        oldGain.dispose();
+      }, Math.max(0, fadeOut) + 0.1);
+    }
+    stack = [];
+    const size = poolSize();
+    const unison = settings.voiceMode === 'unison';
+    poolGain = new Tone.Gain(unison ? 1 / Math.sqrt(size) : 1).connect(destination);
+    pool = Array.from({ length: size }, (_, i) => {
+      const voice = createVoice(poolGain);
+      if (unison) voice.detuneOffset = spreadOffset(i, size);
+      if (params) setVoiceParams(voice, params, bend);
+      return voice;
+    });
+  }
+
+  function pickPolyVoice(note) {
+    const same = pool.find(v => v.note === note);
+    if (same) return same;
+    const free = pool.filter(v => v.note === null).sort((a, b) => a.startedAt - b.startedAt)[0];
+    if (free) return free;
+    const byAge = (a, b) => a.startedAt - b.startedAt;
+    const candidates = pool.slice().sort(settings.voiceSteal === 'quietest' ? (a, b) => a.velocity - b.velocity || byAge(a, b) : byAge);
+    return candidates[0];
+  }
+
+  function startAll(note, freq, velocity, time, env) {
+    pool.forEach(voice => {
+      startVoice(voice, note, freq, velocity, time, env);
+      voice.startedAt = ++order;
+    });
+  }
+
+  const manager = {
+    configure(next) {
+      const prev = settings;
+      settings = { ...settings, ...next };
+      if (['voiceMode', 'polyphony', 'unisonVoices'].some(key => prev[key] !== settings[key])) {
+        rebuild();
+      } else if (prev.unisonSpread !== settings.unisonSpread && settings.voiceMode === 'unison') {
+        // Held notes keep sounding while the spread moves
+        pool.forEach((voice, i) => {
+          voice.detuneOffset = spreadOffset(i, pool.length);
+          if (params) updateVoiceMod(voice);
+        });
+      }
+    },
+
+    // Oscillator params (osc1Type, osc2Type, osc1Detune, osc2Detune, oscMix, osc2Enabled)
+    // and envelope settings (see DEFAULT_ENVELOPE_SETTINGS)
+    setParams(next) {
+      params = next;
+      pool.forEach(voice => setVoiceParams(voice, params, bend));
+    },
+
+    setPitchBend(cents) {
+      bend = cents;
+      if (params) pool.forEach(voice => setVoiceParams(voice, params, bend));
+    },
+
+    // `env` optionally overrides the oscillator and envelope settings for this note
+    noteOn(note, freq, velocity, time, env) {
+      if (!isMono()) {
+        const voice = pickPolyVoice(note);
+        startVoice(voice, note, freq, velocity, time, env);
+        voice.startedAt = ++order;
+        return;
+      }
+      const legato = settings.voiceMode === 'legato' && stack.length > 0;
+      stack = [...stack.filter(n => n.note !== note), { note, freq, velocity, env }];
+      if (legato) {
+        pool.forEach(voice => { voice.note = note; setVoiceFrequency(voice, freq, time); });
+      } else {
+        startAll(note, freq, velocity, time, env);
+      }
+    },
+
+    noteOff(note, time) {
+      if (!isMono()) {
+        pool.forEach(voice => { if (voice.note === note) stopVoice(voice, time); });
+        return;
+      }
+      const wasCurrent = stack.length > 0 && stack[stack.length - 1].note === note;
+      stack = stack.filter(n => n.note !== note);
+      if (!wasCurrent) return;
+      const prev = stack[stack.length - 1];
+      if (!prev) {
+        pool.forEach(voice => stopVoice(voice, time));
+      } else if (settings.voiceMode === 'legato') {
+        pool.forEach(voice => { voice.note = prev.note; setVoiceFrequency(voice, prev.freq, time); });
+      } else {
+        startAll(prev.note, prev.freq, prev.velocity, time, prev.env);
+      }
+    },
+
+    allNotesOff(time) {
+      stack = [];
+      pool.forEach(voice => stopVoice(voice, time));
+    },
+
+    // Every voice in the pool, once params have been set (mod matrix)
+    forEachVoice(fn) {
+      if (params) pool.forEach(fn);
+    },
+
+    // Sounding notes: [{ note, velocity }]
+    activeNotes() {
+      if (isMono()) return stack.map(({ note, velocity }) => ({ note, velocity }));
+      return pool.filter(v => v.note !== null).map(v => ({ note: v.note, velocity: v.velocity }));
+    },
+
+    dispose() {
+      pool.forEach(disposeVoice);
+      pool = [];
+      poolGain.dispose();
+    },
+  };
+
+  rebuild();
+  return manager;
+}
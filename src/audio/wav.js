@@ -0,0 +1,49 @@
+// PCM to WAV encoding (stereo support)
+export function encodeWav(audioBuffer) {
+  const numChannels = audioBuffer.numberOfChannels;
+  const sampleRate = audioBuffer.sampleRate;
+  const format = 1; // PCM
+  const bitDepth = 16;
+  const length = audioBuffer.length * numChannels;
+  const buffer = new ArrayBuffer(44 + length * 2);
+  const view = new DataView(buffer);
+
+  function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  }
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + length * 2, true);
+  writeString(view, 8, 'WAVE');
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, format, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numChannels * bitDepth / 8, true);
+  view.setUint16(32, numChannels * bitDepth / 8, true);
+  view.setUint16(34, bitDepth, true);
+  writeString(view, 36, 'data');
+  view.setUint32(40, length * 2, true);
+  // PCM samples (interleaved for stereo)
+  let offset = 44;
+  if (numChannels === 2) {
+    const left = audioBuffer.getChannelData(0);
+    const right = audioBuffer.getChannelData(1);
+    for (let i = 0; i < audioBuffer.length; i++, offset += 4) {
+      let l = Math.max(-1, Math.min(1, left[i]));
+      let r = Math.max(-1, Math.min(1, right[i]));
+      view.setInt16(offset, l < 0 ? l * 0x8000 : l * 0x7FFF, true);
+      view.setInt16(offset + 2, r < 0 ? r * 0x8000 : r * 0x7FFF, true);
+    }
+  } else {
+    const samples = audioBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++, offset += 2) {
+      let s = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+    }
+  }
+  return buffer;
+}
@@ -0,0 +1,99 @@
+import * as Tone from 'tone';
+
+// A wavetable is { name, frames }: each frame one cycle given as harmonic amplitudes
+// (frames[i][0] is the fundamental). The oscillator plays the frames blended at a
+// position 0-1 across the table. `null` stands for the built-in table.
+export const MAX_PARTIALS = 64;
+export const MAX_FRAMES = 64;
+export const FRAME_SIZE = 2048; // samples per cycle in multi-frame WAV files
+const MAX_CYCLE = 8192; // longer files that aren't whole frames can't be a single cycle
+
+const harmonics = (fn) => Array.from({ length: MAX_PARTIALS }, (_, i) => fn(i + 1));
+
+// Sine, triangle, square and sawtooth, so the built-in table morphs through the basic waves
+export const BASIC_WAVETABLE = {
+  name: 'Basic',
+  frames: [
+    harmonics(n => (n === 1 ? 1 : 0)),
+    harmonics(n => (n % 2 ? (8 / (Math.PI * Math.PI)) * (((n - 1) / 2) % 2 ? -1 : 1) / (n * n) : 0)),
+    harmonics(n => (n % 2 ? 4 / (Math.PI * n) : 0)),
+    harmonics(n => ((n % 2 ? 1 : -1) * 2) / (Math.PI * n)),
+  ],
+};
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// A stored table, or null if it isn't one
+export function sanitizeWavetable(table) {
+  if (!table || typeof table !== 'object' || !Array.isArray(table.frames)) return null;
+  const frames = table.frames
+    .filter(f => Array.isArray(f) && f.length && f.every(isNumber))
+    .slice(0, MAX_FRAMES)
+    .map(f => f.slice(0, MAX_PARTIALS));
+  if (!frames.length) return null;
+  return { name: typeof table.name === 'string' ? table.name : 'Custom', frames };
+}
+
+// Harmonic amplitudes at `position` (0-1), blending the two nearest frames
+export function tablePartials(table, position) {
+  const { frames } = table || BASIC_WAVETABLE;
+  const at = Math.max(0, Math.min(1, position)) * (frames.length - 1);
+  const i = Math.floor(at);
+  const a = frames[i];
+  const b = frames[Math.min(i + 1, frames.length - 1)];
+  const t = at - i;
+  return Array.from({ length: Math.max(a.length, b.length) }, (_, k) => (a[k] || 0) * (1 - t) + (b[k] || 0) * t);
+}
+
+// Index of the frame nearest `position`
+export const frameAt = (table, position) => Math.round(Math.max(0, Math.min(1, position)) * ((table || BASIC_WAVETABLE).frames.length - 1));
+
+// Harmonic amplitudes of one cycle of samples. Phases are dropped (the oscillator
+// builds every partial as a sine); the loudest partial is scaled to 1.
+function cyclePartials(samples) {
+  const size = samples.length;
+  const partials = harmonics(n => {
+    if (n >= size / 2) return 0;
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < size; i++) {
+      const phase = (2 * Math.PI * n * i) / size;
+      re += samples[i] * Math.cos(phase);
+      im += samples[i] * Math.sin(phase);
+    }
+    return Math.hypot(re, im);
+  });
+  const peak = Math.max(...partials);
+  return peak > 0 ? partials.map(v => v / peak) : partials;
+}
+
+// Frames from the first channel of a WAV: a single cycle, or several FRAME_SIZE-sample
+// cycles in a row (as wavetable synths export them). Longer tables are thinned out.
+export function framesFromSamples(samples) {
+  const count = samples.length % FRAME_SIZE === 0 ? samples.length / FRAME_SIZE : 1;
+  const size = samples.length / count;
+  const picks = Array.from({ length: Math.min(count, MAX_FRAMES) }, (_, i) => Math.round((i * (count - 1)) / Math.max(1, Math.min(count, MAX_FRAMES) - 1)));
+  return picks.map(i => cyclePartials(samples.subarray(i * size, (i + 1) * size)));
+}
+
+// Sample rate in a WAV file's header, or null for other files
+function wavSampleRate(data) {
+  const view = new DataView(data);
+  const tag = (at) => String.fromCharCode(...new Uint8Array(data, at, 4));
+  if (data.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+  for (let at = 12; at + 16 <= data.byteLength;) {
+    if (tag(at) === 'fmt ') return view.getUint32(at + 12, true);
+    const size = view.getUint32(at + 4, true);
+    at += 8 + size + (size % 2); // chunks are padded to even lengths
+  }
+  return null;
+}
+
+// A wavetable from an audio file's contents. WAVs are decoded at their own rate, so
+// frames keep their length.
+export async function decodeWavetable(data, name) {
+  const rate = wavSampleRate(data) || Tone.getContext().sampleRate;
+  const buffer = await new OfflineAudioContext(1, 1, rate).decodeAudioData(data);
+  if (!buffer.length || (buffer.length % FRAME_SIZE && buffer.length > MAX_CYCLE)) throw new Error('Not a single-cycle wave or wavetable');
+  return { name, frames: framesFromSamples(buffer.getChannelData(0)) };
+}
@@ -0,0 +1,10 @@
+// Tone's addAudioWorkletModule keeps a single module per context, so ours are added directly.
+// Resolves once the module at `url` is loaded into `context` (a Tone context).
+const modules = new WeakMap(); // raw context -> { url: addModule promise }
+export function addWorkletModule(context, url) {
+  const raw = context.rawContext;
+  if (!modules.has(raw)) modules.set(raw, {});
+  const loaded = modules.get(raw);
+  if (!loaded[url]) loaded[url] = raw.audioWorklet.addModule(url);
+  return loaded[url];
+}
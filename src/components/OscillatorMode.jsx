@@ -0,0 +1,120 @@
+import { useRef, useEffect } from 'react';
+import { OSC_SHAPE_PARAMS, oscKey } from '../audio/oscillator';
+import { BASIC_WAVETABLE, MAX_FRAMES, frameAt, decodeWavetable } from '../audio/wavetable';
+
+const BARS = 32; // harmonics shown in the editor
+const WIDTH = 192;
+const HEIGHT = 64;
+
+// Settings of oscillator `n`'s mode in `sound`; onChange(key, value) with keys as in
+// OSC_SHAPE_PARAMS plus 'Wavetable'. In wavetable mode the table can be loaded from a
+// WAV, and the harmonics of the frame nearest the position drawn with the mouse.
+export default function OscillatorMode({ n, sound, disabled, onChange, onError }) {
+  const canvasRef = useRef(null);
+  const fileRef = useRef(null);
+  const drawing = useRef(false);
+  const drawn = useRef(null); // the frames of the stroke being drawn
+  const frameRequest = useRef(null); // pending animation frame that passes them on
+  const mode = sound[oscKey(n, 'Type')];
+  const table = sound[oscKey(n, 'Wavetable')] || BASIC_WAVETABLE;
+  const frame = frameAt(table, sound[oscKey(n, 'Position')]);
+  const partials = table.frames[frame];
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const bar = WIDTH / BARS;
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.fillStyle = '#e0a000';
+    for (let i = 0; i < BARS; i++) {
+      const h = Math.min(1, Math.abs(partials[i] || 0)) * HEIGHT;
+      ctx.fillRect(i * bar + 1, HEIGHT - h, bar - 2, h);
+    }
+  }, [partials, mode]);
+
+  useEffect(() => () => cancelAnimationFrame(frameRequest.current), []);
+
+  const setFrames = (frames, name = table === BASIC_WAVETABLE ? 'Drawn' : table.name) => onChange('Wavetable', { name, frames });
+
+  // Pass the drawn frames on (rebuilding the voices' waves) at most once per animation frame
+  const flushDrawn = () => {
+    cancelAnimationFrame(frameRequest.current);
+    frameRequest.current = null;
+    if (drawn.current) setFrames(drawn.current);
+  };
+
+  // Set the harmonic under the pointer to its height
+  const drawAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const i = Math.floor(((e.clientX - rect.left) / rect.width) * BARS);
+    if (i < 0 || i >= BARS) return;
+    const level = Math.max(0, Math.min(1, 1 - (e.clientY - rect.top) / rect.height));
+    const frames = drawn.current || table.frames;
+    const current = frames[frame];
+    const next = Array.from({ length: Math.max(current.length, i + 1) }, (_, k) => (k === i ? level : current[k] || 0));
+    drawn.current = frames.map((f, j) => (j === frame ? next : f));
+    if (frameRequest.current === null) frameRequest.current = requestAnimationFrame(flushDrawn);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onChange('Wavetable', await decodeWavetable(await file.arrayBuffer(), file.name));
+    } catch {
+      onError(`Could not load ${file.name} as a wavetable.`);
+    }
+  };
+
+  const params = OSC_SHAPE_PARAMS.filter(p => p.modes.includes(mode));
+  if (!params.length) return null;
+  return (
+    <div style={{ marginTop: 8, fontSize: '0.9em', color: '#aaa' }}>
+      {params.map(p => (
+        <label key={p.key} style={{ display: 'block' }}>{p.label}
+          <input type="range" min={p.min} max={p.max} step={p.step} value={sound[oscKey(n, p.key)]} onChange={e => onChange(p.key, Number(e.target.value))} style={{ width: 80, marginLeft: 8 }} disabled={disabled} />
+          <span style={{ minWidth: 30, display: 'inline-block' }}>{sound[oscKey(n, p.key)]}{p.unit}</span>
+        </label>
+      ))}
+      {mode === 'wavetable' && (
+        <div style={{ marginTop: 4 }}>
+          <div title={`${table.frames.length} frames`}>{table.name}, frame {frame + 1}/{table.frames.length}</div>
+          <canvas
+            ref={canvasRef}
+            width={WIDTH}
+            height={HEIGHT}
+            title="Draw the harmonics of this frame"
+            onPointerDown={e => {
+              if (disabled) return;
+              drawing.current = true;
+              drawn.current = null;
+              e.currentTarget.setPointerCapture(e.pointerId);
+              drawAt(e);
+            }}
+            onPointerMove={e => drawing.current && drawAt(e)}
+            onPointerUp={() => {
+              drawing.current = false;
+              flushDrawn();
+              drawn.current = null;
+            }}
+            style={{ display: 'block', border: '1px solid #444', cursor: 'crosshair', touchAction: 'none' }}
+          />
+          <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+            <button onClick={() => fileRef.current.click()} disabled={disabled} title="Single-cycle WAV, or 2048-sample frames in a row">Load WAV</button>
+            <button
+              onClick={() => setFrames([...table.frames.slice(0, frame + 1), partials, ...table.frames.slice(frame + 1)])}
+              disabled={disabled || table.frames.length >= MAX_FRAMES}
+              title="Copy this frame"
+            >+</button>
+            <button onClick={() => setFrames(table.frames.filter((_, j) => j !== frame))} disabled={disabled || table.frames.length < 2} title="Remove this frame">−</button>
+            <button onClick={() => onChange('Wavetable', null)} disabled={disabled || table === BASIC_WAVETABLE} title="Back to the built-in table">Basic</button>
+          </div>
+          <input ref={fileRef} type="file" accept="audio/wav,.wav" onChange={handleFile} style={{ display: 'none' }} />
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+import { KEY_SCALES, CHORD_SHAPES, ARP_ORDERS, ARP_RATES, MAX_ARP_OCTAVES, MIN_ARP_GATE, parseChordShape } from '../audio/performance';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Scale lock, chord mode and arpeggiator settings (see performance.js); onChange(settings)
+// with the whole new settings. `recording`: the arp is being recorded into the step sequencer.
+export default function PerformancePanel({ settings, onChange, recording, onRecord, canRecord }) {
+  const [customText, setCustomText] = useState(null); // the custom chord while it's typed
+  const { arp } = settings;
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+  const setArp = (key, value) => set('arp', { ...arp, [key]: value });
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 6, marginTop: 8, color: '#b0b0b0' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', justifyContent: 'center' }}>
+        <label title="Snap every key to the scale">Scale lock
+          <select value={settings.root} onChange={e => set('root', Number(e.target.value))} style={{ marginLeft: 6 }} disabled={settings.scale === 'chromatic'}>
+            {NOTE_NAMES.map((name, i) => <option key={name} value={i}>{name}</option>)}
+          </select>
+          <select value={settings.scale} onChange={e => set('scale', e.target.value)} style={{ marginLeft: 4 }}>
+            {KEY_SCALES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+          </select>
+        </label>
+        <label title="Triad and 7th follow the locked scale">Chord
+          <select value={settings.chord} onChange={e => set('chord', e.target.value)} style={{ marginLeft: 6 }}>
+            {CHORD_SHAPES.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+          </select>
+        </label>
+        {settings.chord === 'custom' && (
+          <input
+            type="text"
+            value={customText ?? settings.chordCustom.join(' ')}
+            onChange={e => {
+              setCustomText(e.target.value);
+              const intervals = parseChordShape(e.target.value);
+              if (intervals) set('chordCustom', intervals);
+            }}
+            onBlur={() => setCustomText(null)}
+            title="Semitones above the key, e.g. 0 4 7 11"
+            style={{ width: 90 }}
+          />
+        )}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', justifyContent: 'center' }}>
+        <label>
+          <input type="checkbox" checked={arp.enabled} onChange={e => setArp('enabled', e.target.checked)} style={{ marginRight: 4 }} />
+          Arp
+        </label>
+        <select value={arp.order} onChange={e => setArp('order', e.target.value)} disabled={!arp.enabled} title="Order">
+          {ARP_ORDERS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+        </select>
+        <select value={arp.rate} onChange={e => setArp('rate', e.target.value)} disabled={!arp.enabled} title="Rate">
+          {ARP_RATES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+        </select>
+        <label>Oct
+          <select value={arp.octaves} onChange={e => setArp('octaves', Number(e.target.value))} disabled={!arp.enabled} style={{ marginLeft: 4 }}>
+            {Array.from({ length: MAX_ARP_OCTAVES }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+          </select>
+        </label>
+        <label>Gate
+          <input type="range" min={MIN_ARP_GATE} max={1} step={0.05} value={arp.gate} onChange={e => setArp('gate', Number(e.target.value))} disabled={!arp.enabled} style={{ width: 70, marginLeft: 6 }} />
+          <span style={{ minWidth: 36, display: 'inline-block' }}>{Math.round(arp.gate * 100)}%</span>
+        </label>
+        <button
+          onClick={onRecord}
+          disabled={!arp.enabled || !canRecord}
+          style={{ background: recording ? '#e00' : undefined }}
+          title="Write the arp into the playing step sequencer, one note per step"
+        >● Rec</button>
+      </div>
+    </div>
+  );
+}
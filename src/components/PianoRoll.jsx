@@ -0,0 +1,320 @@
+import { useState, useRef, useEffect } from 'react';
+import { midiNoteNumber } from '../midi/midiOutput';
+import { STEPS_PER_BAR } from '../audio/transport';
+import { DEFAULT_GATE, noteSpans, spansToSteps } from '../project/patterns';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const LOWEST = midiNoteNumber('C', 1); // the keyboard's octave range, 1-7
+const HIGHEST = midiNoteNumber('B', 7);
+const ROW = 10; // px per semitone
+const COL = 28; // px per step
+const KEYS = 36; // px of the keyboard column
+const LANE = 60; // px of the velocity lane
+const SNAP = 0.25; // note length grid, in steps
+const MAX_UNDO = 50;
+
+const TOOLS = [
+  { key: 'draw', label: 'Draw', hint: 'Click an empty cell for a note, drag to set its length' },
+  { key: 'erase', label: 'Erase', hint: 'Click or drag over notes to delete them' },
+  { key: 'move', label: 'Move', hint: 'Drag notes; drag on empty space to select, Shift adds' },
+  { key: 'resize', label: 'Resize', hint: 'Drag notes left or right to change their length; a chord keeps one length' },
+];
+
+const fromMidi = (midi) => ({ note: NOTE_NAMES[midi % 12], octave: Math.floor(midi / 12) - 1 });
+const spanKey = (span) => `${span.start}:${span.midi}`;
+const isBlack = (midi) => [1, 3, 6, 8, 10].includes(midi % 12);
+const snap = (length) => Math.max(SNAP, Math.round(length / SNAP) * SNAP);
+
+// Notes starting on the same step share one length, as the step format has one gate
+// and tie per step: the `lead` spans set it for their steps, elsewhere the longest note
+const shareLengths = (list, lead) => {
+  const leading = new Set(lead.map(span => span.start));
+  const lengths = new Map(lead.map(span => [span.start, span.length]));
+  list.forEach(span => {
+    if (!leading.has(span.start)) lengths.set(span.start, Math.max(lengths.get(span.start) || 0, span.length));
+  });
+  return list.map(span => ({ ...span, length: lengths.get(span.start) }));
+};
+
+// Canvas piano roll over a step sequencer track. Edits go through note spans (see
+// project/patterns.js), so chords, gates and ties stay in the step format and
+// parameter locks are kept. Undo history lives here; remount it per pattern.
+export default function PianoRoll({ steps, onChange, playhead }) {
+  const gridRef = useRef(null);
+  const laneRef = useRef(null);
+  const scrollRef = useRef(null);
+  const gesture = useRef(null); // the pointer drag in progress
+  const [tool, setTool] = useState('draw');
+  const [selected, setSelected] = useState(() => new Set()); // span keys
+  const [draft, setDraft] = useState(null); // spans while dragging, committed on release
+  const [marquee, setMarquee] = useState(null); // { from, to } pointer positions
+  const [history, setHistory] = useState([]); // earlier tracks, newest last
+  const [clipboard, setClipboard] = useState(null); // [{ offset, length, midi, velocity }]
+  const [cursor, setCursor] = useState(0); // step pasting starts at
+
+  const spans = noteSpans(steps).map(span => ({ ...span, midi: midiNoteNumber(span.note, span.octave) }));
+  const shown = draft || spans;
+  const width = KEYS + steps.length * COL;
+  const height = (HIGHEST - LOWEST + 1) * ROW;
+
+  const commit = (next) => {
+    setHistory(h => [...h.slice(1 - MAX_UNDO), steps]);
+    onChange(spansToSteps(next.map(span => ({ ...span, ...fromMidi(span.midi) })), steps));
+  };
+
+  const undo = () => {
+    if (!history.length) return;
+    onChange(history[history.length - 1]);
+    setHistory(h => h.slice(0, -1));
+    setSelected(new Set());
+  };
+  const copy = () => {
+    const picked = spans.filter(span => selected.has(spanKey(span)));
+    if (!picked.length) return;
+    const first = Math.min(...picked.map(span => span.start));
+    setClipboard(picked.map(({ start, length, midi, velocity }) => ({ offset: start - first, length, midi, velocity })));
+  };
+  const deleteSelected = () => {
+    if (!selected.size) return;
+    commit(spans.filter(span => !selected.has(spanKey(span))));
+    setSelected(new Set());
+  };
+  const paste = () => {
+    if (!clipboard) return;
+    const pasted = clipboard
+      .map(c => ({ start: cursor + c.offset, length: c.length, midi: c.midi, velocity: c.velocity }))
+      .filter(span => span.start < steps.length);
+    const keys = new Set(pasted.map(spanKey));
+    commit(shareLengths([...spans.filter(span => !keys.has(spanKey(span))), ...pasted], pasted));
+    setSelected(keys);
+  };
+
+  // Scroll to middle C to begin with
+  useEffect(() => {
+    scrollRef.current.scrollTop = (HIGHEST - midiNoteNumber('C', 4)) * ROW - scrollRef.current.clientHeight / 2;
+  }, []);
+
+  useEffect(() => {
+    const ctx = gridRef.current.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    for (let midi = HIGHEST; midi >= LOWEST; midi--) {
+      const y = (HIGHEST - midi) * ROW;
+      ctx.fillStyle = isBlack(midi) ? '#141414' : '#1c1c1c';
+      ctx.fillRect(KEYS, y, width - KEYS, ROW);
+      ctx.fillStyle = isBlack(midi) ? '#333' : '#d0d0d0';
+      ctx.fillRect(0, y, KEYS - 2, ROW - 1);
+      if (midi % 12 === 0) {
+        ctx.fillStyle = '#181818';
+        ctx.font = '8px monospace';
+        ctx.fillText(`C${fromMidi(midi).octave}`, 2, y + ROW - 2);
+        ctx.fillStyle = '#333';
+        ctx.fillRect(KEYS, y + ROW - 1, width - KEYS, 1);
+      }
+    }
+    for (let step = 0; step <= steps.length; step++) {
+      ctx.fillStyle = step % STEPS_PER_BAR === 0 ? '#555' : '#2a2a2a';
+      ctx.fillRect(KEYS + step * COL, 0, 1, height);
+    }
+    if (playhead !== null) {
+      ctx.fillStyle = 'rgba(224, 224, 224, 0.12)';
+      ctx.fillRect(KEYS + playhead * COL, 0, COL, height);
+    }
+    shown.forEach(span => {
+      const x = KEYS + span.start * COL;
+      const y = (HIGHEST - span.midi) * ROW;
+      ctx.globalAlpha = 0.4 + (span.velocity / 100) * 0.6;
+      ctx.fillStyle = '#e00';
+      ctx.fillRect(x + 1, y + 1, Math.max(2, span.length * COL - 2), ROW - 2);
+      ctx.globalAlpha = 1;
+      if (selected.has(spanKey(span))) {
+        ctx.strokeStyle = '#fff';
+        ctx.strokeRect(x + 1.5, y + 1.5, Math.max(2, span.length * COL - 3), ROW - 3);
+      }
+    });
+    if (marquee) {
+      ctx.strokeStyle = '#e0e0e0';
+      ctx.setLineDash([3, 3]);
+      ctx.strokeRect(marquee.from.x, marquee.from.y, marquee.to.x - marquee.from.x, marquee.to.y - marquee.from.y);
+      ctx.setLineDash([]);
+    }
+
+    const lane = laneRef.current.getContext('2d');
+    lane.clearRect(0, 0, width, LANE);
+    lane.fillStyle = '#111';
+    lane.fillRect(KEYS, 0, width - KEYS, LANE);
+    shown.forEach(span => {
+      const h = (span.velocity / 100) * (LANE - 4);
+      lane.fillStyle = selected.has(spanKey(span)) ? '#fff' : '#e00';
+      lane.fillRect(KEYS + span.start * COL + 4, LANE - h, 4, h);
+    });
+  });
+
+  // Pointer position on the grid: pixels, step position (fractional) and MIDI note
+  const locate = (e) => {
+    const rect = gridRef.current.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    return { x, y, pos: (x - KEYS) / COL, midi: HIGHEST - Math.floor(y / ROW) };
+  };
+  // Short notes get at least half a step to click on
+  const hit = (list, at) => list.find(span => span.midi === at.midi && at.pos >= span.start && at.pos < span.start + Math.max(span.length, 0.5));
+
+  const handleGridDown = (e) => {
+    const at = locate(e);
+    if (at.pos < 0 || at.pos >= steps.length) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const step = Math.floor(at.pos);
+    setCursor(step);
+    const target = hit(spans, at);
+    if (tool === 'draw') {
+      if (target) return;
+      // A note added to a chord takes its length
+      const chord = spans.find(span => span.start === step);
+      const span = { start: step, length: chord ? chord.length : DEFAULT_GATE, midi: at.midi, velocity: 80 };
+      gesture.current = { type: 'draw', span };
+      setDraft([...spans, span]);
+    } else if (tool === 'erase') {
+      gesture.current = { type: 'erase' };
+      setDraft(spans.filter(span => span !== target));
+    } else if (target) {
+      const key = spanKey(target);
+      let picked = selected;
+      if (e.shiftKey) {
+        picked = new Set(selected);
+        if (picked.has(key)) picked.delete(key);
+        else picked.add(key);
+      } else if (!selected.has(key)) {
+        picked = new Set([key]);
+      }
+      setSelected(picked);
+      gesture.current = { type: tool, from: at, picked };
+    } else {
+      if (!e.shiftKey) setSelected(new Set());
+      gesture.current = { type: 'marquee', from: at, base: e.shiftKey ? selected : new Set() };
+      setMarquee({ from: at, to: at });
+    }
+  };
+
+  const handleGridMove = (e) => {
+    const g = gesture.current;
+    if (!g) return;
+    const at = locate(e);
+    if (g.type === 'draw') {
+      const span = { ...g.span, length: Math.min(snap(at.pos - g.span.start), steps.length - g.span.start) };
+      setDraft(shareLengths([...spans, span], [span]));
+    } else if (g.type === 'erase') {
+      setDraft(d => d.filter(span => span !== hit(d, at)));
+    } else if (g.type === 'move') {
+      // Whole steps and semitones, kept inside the grid
+      const moving = spans.filter(span => g.picked.has(spanKey(span)));
+      if (!moving.length) return;
+      const dStep = Math.max(-Math.min(...moving.map(s => s.start)), Math.min(steps.length - 1 - Math.max(...moving.map(s => s.start)), Math.floor(at.pos) - Math.floor(g.from.pos)));
+      const dMidi = Math.max(LOWEST - Math.min(...moving.map(s => s.midi)), Math.min(HIGHEST - Math.max(...moving.map(s => s.midi)), at.midi - g.from.midi));
+      const moved = spans.map(span => (g.picked.has(spanKey(span)) ? { ...span, start: span.start + dStep, midi: span.midi + dMidi } : span));
+      setDraft(shareLengths(moved, moved.filter((_, i) => g.picked.has(spanKey(spans[i])))));
+    } else if (g.type === 'resize') {
+      const delta = at.pos - g.from.pos;
+      const resized = spans.map(span => (g.picked.has(spanKey(span)) ? { ...span, length: Math.min(snap(span.length + delta), steps.length - span.start) } : span));
+      setDraft(shareLengths(resized, resized.filter((_, i) => g.picked.has(spanKey(spans[i])))));
+    } else if (g.type === 'marquee') {
+      setMarquee({ from: g.from, to: at });
+    }
+  };
+
+  const handlePointerUp = () => {
+    const g = gesture.current;
+    gesture.current = null;
+    if (!g) return;
+    if (g.type === 'marquee') {
+      const [x0, x1] = [g.from.pos, marquee.to.pos].sort((a, b) => a - b);
+      const [m0, m1] = [g.from.midi, marquee.to.midi].sort((a, b) => a - b);
+      const inside = spans.filter(span => span.midi >= m0 && span.midi <= m1 && span.start < x1 && span.start + span.length > x0);
+      setSelected(new Set([...g.base, ...inside.map(spanKey)]));
+      setMarquee(null);
+      return;
+    }
+    const next = draft;
+    setDraft(null);
+    if (!next || JSON.stringify(next) === JSON.stringify(spans)) return;
+    commit(next);
+    // Moved and resized notes stay selected
+    if (g.picked) setSelected(new Set(next.filter((_, i) => g.picked.has(spanKey(spans[i]))).map(spanKey)));
+  };
+
+  // Velocity lane: drag over a step to set its notes' velocity (just the selected ones, if any)
+  const velocityAt = (e, list) => {
+    const rect = laneRef.current.getBoundingClientRect();
+    const step = Math.floor((e.clientX - rect.left - KEYS) / COL);
+    const velocity = Math.max(1, Math.min(100, Math.round((1 - (e.clientY - rect.top) / LANE) * 100)));
+    const here = list.filter(span => span.start === step);
+    const picked = here.filter(span => selected.has(spanKey(span)));
+    const targets = picked.length ? picked : here;
+    return list.map(span => (targets.includes(span) ? { ...span, velocity } : span));
+  };
+  const handleLaneDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gesture.current = { type: 'velocity' };
+    setDraft(velocityAt(e, spans));
+  };
+  const handleLaneMove = (e) => {
+    if (gesture.current && gesture.current.type === 'velocity') setDraft(d => velocityAt(e, d));
+  };
+
+  // Shortcuts while the roll has focus; other keys still reach the synth keyboard
+  const handleKeyDown = (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    const key = e.key.toLowerCase();
+    if (mod && key === 'z') undo();
+    else if (mod && key === 'c') copy();
+    else if (mod && key === 'x') { copy(); deleteSelected(); }
+    else if (mod && key === 'v') paste();
+    else if (mod && key === 'a') setSelected(new Set(spans.map(spanKey)));
+    else if (key === 'delete' || key === 'backspace') deleteSelected();
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  return (
+    <div className="piano-roll" tabIndex={0} onKeyDown={handleKeyDown} style={{ marginBottom: 8, outline: 'none' }}>
+      <div style={{ display: 'flex', gap: 4, justifyContent: 'center', alignItems: 'center', marginBottom: 6, flexWrap: 'wrap' }}>
+        {TOOLS.map(t => (
+          <button
+            key={t.key}
+            onClick={() => setTool(t.key)}
+            title={t.hint}
+            style={{ background: tool === t.key ? '#e00' : '#111', color: '#e0e0e0', border: '1px solid #e0e0e0' }}
+          >{t.label}</button>
+        ))}
+        <span style={{ width: 12 }} />
+        <button onClick={undo} disabled={!history.length} title="Ctrl+Z">Undo</button>
+        <button onClick={copy} disabled={!selected.size} title="Ctrl+C">Copy</button>
+        <button onClick={paste} disabled={!clipboard} title={`Ctrl+V, at step ${cursor + 1}`}>Paste</button>
+        <button onClick={deleteSelected} disabled={!selected.size} title="Delete">Delete</button>
+      </div>
+      <div style={{ overflowX: 'auto', maxWidth: '100%' }}>
+        <div ref={scrollRef} style={{ height: 260, overflowY: 'auto', width: width + 16 }}>
+          <canvas
+            ref={gridRef}
+            width={width}
+            height={height}
+            onPointerDown={handleGridDown}
+            onPointerMove={handleGridMove}
+            onPointerUp={handlePointerUp}
+            style={{ display: 'block', cursor: tool === 'erase' ? 'not-allowed' : tool === 'resize' ? 'ew-resize' : tool === 'move' ? 'move' : 'crosshair' }}
+          />
+        </div>
+        <canvas
+          ref={laneRef}
+          width={width}
+          height={LANE}
+          onPointerDown={handleLaneDown}
+          onPointerMove={handleLaneMove}
+          onPointerUp={handlePointerUp}
+          title="Velocity"
+          style={{ display: 'block', marginTop: 2, cursor: 'ns-resize' }}
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useState } from 'react';
+import { filterLibrary, parseTags } from '../project/storage';
+
+// Browsable preset library stored in IndexedDB. Entries can be loaded directly
+// or assigned to one of the quick preset slots. `error`: the last failed save or delete.
+export default function PresetLibrary({ entries, slotCount, error, onSave, onLoad, onDelete, onAssign }) {
+  const [query, setQuery] = useState('');
+  const [name, setName] = useState('');
+  const [tags, setTags] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim(), parseTags(tags));
+    setName('');
+    setTags('');
+  };
+
+  const shown = filterLibrary(entries, query).sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="preset-library" style={{ marginTop: 12, padding: '0.8em', border: '1.5px solid #444', borderRadius: 4, background: '#181818' }}>
+      <form onSubmit={handleSave} style={{ display: 'flex', gap: 8, justifyContent: 'center', flexWrap: 'wrap' }}>
+        <input value={name} onChange={e => setName(e.target.value)} placeholder="Name" style={{ width: 120 }} />
+        <input value={tags} onChange={e => setTags(e.target.value)} placeholder="tags, comma separated" style={{ width: 160 }} />
+        <button type="submit" disabled={!name.trim()}>Save to library</button>
+      </form>
+      {error && <div style={{ color: '#e00', marginTop: 8 }}>{error}</div>}
+      <input
+        type="search"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        placeholder={`Search ${entries.length} sounds by name or tag`}
+        style={{ width: '100%', boxSizing: 'border-box', marginTop: 8 }}
+      />
+      <div style={{ maxHeight: 180, overflowY: 'auto', marginTop: 8 }}>
+        {shown.length === 0 && <div style={{ color: '#888', fontSize: '0.9em' }}>{entries.length ? 'No matches' : 'Library is empty'}</div>}
+        {shown.map(entry => (
+          <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '2px 0' }}>
+            <button onClick={() => onLoad(entry)} title="Load this sound" style={{ flex: 1, textAlign: 'left' }}>{entry.name}</button>
+            <span style={{ color: '#888', fontSize: '0.8em' }}>{entry.tags.join(', ')}</span>
+            <select value="" onChange={e => onAssign(entry, Number(e.target.value))} title="Assign to quick slot">
+              <option value="" disabled>→ slot</option>
+              {Array.from({ length: slotCount }, (_, i) => <option key={i} value={i}>{i + 1}</option>)}
+            </select>
+            <button onClick={() => onDelete(entry.id)} title="Delete from library" style={{ color: '#e00' }}>×</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
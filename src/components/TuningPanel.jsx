@@ -0,0 +1,71 @@
+import { useRef, useState } from 'react';
+import { BUILT_IN_SCALES, TWELVE_TET, DEFAULT_TUNING, MIN_REF_FREQ, MAX_REF_FREQ, parseScl, parseKbm } from '../audio/tuning';
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const noteName = (note) => `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+
+const sameScale = (a, b) => a.name === b.name && a.cents.length === b.cents.length && a.cents.every((c, i) => c === b.cents[i]);
+
+// Scale, keyboard mapping and reference pitch of `tuning` (see tuning.js). Scala .scl
+// and .kbm files can be loaded; onChange(tuning) with the whole new tuning.
+export default function TuningPanel({ tuning, onChange }) {
+  const sclRef = useRef(null);
+  const kbmRef = useRef(null);
+  const [error, setError] = useState(null);
+  const [refDraft, setRefDraft] = useState(null); // the reference frequency while it's typed
+  const scale = tuning.scale || TWELVE_TET;
+  const builtIn = BUILT_IN_SCALES.findIndex(s => sameScale(s, scale));
+
+  const loadFile = (parse) => async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError(null);
+    try {
+      onChange(parse(await file.text(), file.name.replace(/\.\w+$/, '')));
+    } catch (err) {
+      setError(err.name === 'ScalaError' ? `${file.name}: ${err.message}` : `Could not read ${file.name}.`);
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8, flexWrap: 'wrap', marginBottom: 8, color: '#b0b0b0' }}>
+      <label>Tuning
+        <select
+          value={builtIn < 0 ? 'custom' : builtIn}
+          onChange={e => onChange({ ...tuning, scale: e.target.value === '0' ? null : BUILT_IN_SCALES[Number(e.target.value)] })}
+          style={{ marginLeft: 6 }}
+        >
+          {BUILT_IN_SCALES.map((s, i) => <option key={s.name} value={i}>{s.name}</option>)}
+          {builtIn < 0 && <option value="custom">{scale.name}</option>}
+        </select>
+      </label>
+      <button onClick={() => sclRef.current.click()} title="Load a Scala scale (.scl)">Load .scl</button>
+      <button onClick={() => kbmRef.current.click()} title="Load a Scala keyboard mapping (.kbm)">Load .kbm</button>
+      {tuning.keymap && (
+        <button onClick={() => onChange({ ...tuning, keymap: null })} title="Map one scale degree per key from C4">{tuning.keymap.name} ×</button>
+      )}
+      <label title="Frequency of the reference note">{noteName(tuning.refNote)} =
+        <input
+          type="number"
+          min={MIN_REF_FREQ}
+          max={MAX_REF_FREQ}
+          step={0.1}
+          value={refDraft ?? tuning.refFreq}
+          onChange={e => {
+            const freq = Number(e.target.value);
+            setRefDraft(e.target.value);
+            if (freq >= MIN_REF_FREQ && freq <= MAX_REF_FREQ) onChange({ ...tuning, refFreq: freq });
+          }}
+          onBlur={() => setRefDraft(null)}
+          style={{ width: 64, marginLeft: 6 }}
+        />
+        Hz
+      </label>
+      <button onClick={() => { setError(null); onChange(DEFAULT_TUNING); }} disabled={tuning === DEFAULT_TUNING} title="12-TET, A4 = 440 Hz">Reset</button>
+      {error && <span style={{ color: '#e00' }}>{error}</span>}
+      <input ref={sclRef} type="file" accept=".scl" style={{ display: 'none' }} onChange={loadFile((text, name) => ({ ...tuning, scale: parseScl(text, name) }))} />
+      <input ref={kbmRef} type="file" accept=".kbm" style={{ display: 'none' }} onChange={loadFile((text, name) => ({ ...tuning, ...parseKbm(text, name) }))} />
+    </div>
+  );
+}
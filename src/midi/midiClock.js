@@ -0,0 +1,48 @@
+import * as Tone from 'tone';
+
+// MIDI clock runs at 24 pulses per quarter note; one sequencer step is one beat
+export const CLOCKS_PER_STEP = 24;
+const CLOCK_INTERVAL = '96n';
+const AVERAGE_OVER = 24; // pulses used for the tempo estimate
+
+// Estimates tempo from incoming clock pulses. `tick(ms)` takes the pulse's
+// timestamp and returns the smoothed BPM once enough pulses have arrived.
+export function createClockFollower() {
+  const times = [];
+  return {
+    tick(ms) {
+      times.push(ms);
+      if (times.length > AVERAGE_OVER + 1) times.shift();
+      if (times.length < AVERAGE_OVER / 2) return null;
+      const perPulse = (times[times.length - 1] - times[0]) / (times.length - 1);
+      return perPulse > 0 ? 60000 / (perPulse * CLOCKS_PER_STEP) : null;
+    },
+    reset() {
+      times.length = 0;
+    },
+  };
+}
+
+// Audio-clock time (seconds) to a performance.now() timestamp for MIDIOutput.send
+export function toMidiTimestamp(time) {
+  return performance.now() + Math.max(0, time - Tone.getContext().currentTime) * 1000;
+}
+
+// Send clock pulses and start/stop/continue to `output` following the master transport.
+// Returns a function that stops sending.
+export function sendClockOut(output) {
+  const transport = Tone.getTransport();
+  const id = transport.scheduleRepeat(time => output.send([0xf8], toMidiTimestamp(time)), CLOCK_INTERVAL, 0);
+  // Tone passes the start offset: resuming from pause is a continue
+  const onStart = (time, offset) => output.send([offset > 0 ? 0xfb : 0xfa], toMidiTimestamp(time));
+  const onStop = (time) => output.send([0xfc], toMidiTimestamp(time));
+  transport.on('start', onStart);
+  transport.on('stop', onStop);
+  transport.on('pause', onStop);
+  return () => {
+    transport.clear(id);
+    transport.off('start', onStart);
+    transport.off('stop', onStop);
+    transport.off('pause', onStop);
+  };
+}
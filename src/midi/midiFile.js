@@ -0,0 +1,211 @@
+import { midiNoteNumber } from './midiOutput';
+import { MAX_RATCHET } from '../audio/drumMachine';
+import { MIN_GATE, noteSpans, spansToSteps } from '../project/patterns';
+
+// Standard MIDI File (SMF) reading and writing, and conversion to/from the
+// sequencer grids. One sequencer step is one quarter note.
+export const PPQ = 96;
+export const DRUM_CHANNEL = 10;
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// General MIDI drum notes folded onto the nearest drum row
+const GM_DRUM_ALIASES = { 35: 36, 40: 38, 41: 45, 43: 45, 44: 42, 48: 47 };
+
+export class MidiFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MidiFileError';
+  }
+}
+
+// --- Writing ---
+
+function varLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) bytes.unshift((value & 0x7f) | 0x80);
+  return bytes;
+}
+
+const textBytes = (text) => Array.from(text, c => c.charCodeAt(0) & 0x7f);
+const uint32 = (n) => [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+
+// events: [{ tick, data: number[] }], in any order
+function encodeTrack(name, events) {
+  const sorted = [
+    { tick: 0, data: [0xff, 0x03, ...varLength(name.length), ...textBytes(name)] },
+    // Note-offs sort before note-ons on the same tick so retriggers don't cut themselves
+    ...events.slice().sort((a, b) => a.tick - b.tick || (a.data[0] & 0xf0) - (b.data[0] & 0xf0)),
+  ];
+  const bytes = [];
+  let last = 0;
+  sorted.forEach(e => {
+    bytes.push(...varLength(e.tick - last), ...e.data);
+    last = e.tick;
+  });
+  bytes.push(0x00, 0xff, 0x2f, 0x00); // end of track
+  return [...textBytes('MTrk'), ...uint32(bytes.length), ...bytes];
+}
+
+// tracks: [{ name, events }]. Writes a format 1 file with a tempo track first.
+export function writeMidiFile(tracks, bpm) {
+  const usPerQuarter = Math.round(60000000 / bpm);
+  const tempoTrack = encodeTrack('DRNKLB', [
+    { tick: 0, data: [0xff, 0x51, 0x03, (usPerQuarter >> 16) & 0xff, (usPerQuarter >> 8) & 0xff, usPerQuarter & 0xff] },
+  ]);
+  const header = [...textBytes('MThd'), ...uint32(6), 0, 1, 0, tracks.length + 1, (PPQ >> 8) & 0xff, PPQ & 0xff];
+  return new Uint8Array([...header, ...tempoTrack, ...tracks.flatMap(t => encodeTrack(t.name, t.events))]);
+}
+
+function noteEvents(channel, note, velocity, tick, duration) {
+  const ch = (channel - 1) & 0x0f;
+  return [
+    { tick, data: [0x90 | ch, note, Math.max(1, Math.min(127, Math.round(velocity)))] },
+    { tick: tick + duration, data: [0x80 | ch, note, 0] },
+  ];
+}
+
+// Step sequencer and drum grid to a multi-track .mid file
+export function exportPatternsToMidi({ sequencer, drumSteps, drums, bpm, seqChannel = 1, drumChannel = DRUM_CHANNEL }) {
+  const seqEvents = [];
+  noteSpans(sequencer).forEach(span => {
+    seqEvents.push(...noteEvents(seqChannel, midiNoteNumber(span.note, span.octave), (span.velocity / 100) * 127, span.start * PPQ, Math.round(span.length * PPQ)));
+  });
+  const drumEvents = [];
+  drums.forEach((d, row) => {
+    drumSteps[row].forEach((hit, i) => {
+      if (!hit) return;
+      // Ratchets and micro-timing are written out; probability has no MIDI equivalent
+      const start = Math.max(0, Math.round(i * PPQ + (hit.offset / 100) * PPQ));
+      for (let r = 0; r < hit.ratchet; r++) {
+        const tick = start + Math.round((r * PPQ) / hit.ratchet);
+        drumEvents.push(...noteEvents(drumChannel, d.midiNote, (hit.velocity / 100) * 127, tick, Math.round(PPQ / 4 / hit.ratchet)));
+      }
+    });
+  });
+  return writeMidiFile([
+    { name: 'Step Sequencer', events: seqEvents },
+    { name: 'Drums', events: drumEvents },
+  ], bpm);
+}
+
+// --- Reading ---
+
+// Parse an SMF into { ppq, bpm, notes: [{ track, channel, note, velocity, tick, duration }] }
+export function readMidiFile(buffer) {
+  const data = new Uint8Array(buffer);
+  let pos = 0;
+  const text = (n) => String.fromCharCode(...data.subarray(pos, pos + n));
+  const u32 = () => { const v = (data[pos] << 24 >>> 0) + (data[pos + 1] << 16) + (data[pos + 2] << 8) + data[pos + 3]; pos += 4; return v; };
+  const u16 = () => { const v = (data[pos] << 8) + data[pos + 1]; pos += 2; return v; };
+  const readVarLength = () => {
+    let v = 0;
+    let b;
+    do { b = data[pos++]; v = (v << 7) | (b & 0x7f); } while (b & 0x80 && pos < data.length);
+    return v;
+  };
+
+  if (data.length < 14 || text(4) !== 'MThd') throw new MidiFileError('Not a MIDI file.');
+  pos += 4;
+  const headerLength = u32();
+  u16(); // format: 0 and 1 read the same way here
+  const trackCount = u16();
+  const division = u16();
+  if (division & 0x8000) throw new MidiFileError('SMPTE-timed MIDI files are not supported.');
+  pos = 8 + headerLength;
+
+  let bpm = null;
+  const notes = [];
+  for (let track = 0; track < trackCount && pos < data.length; track++) {
+    if (text(4) !== 'MTrk') throw new MidiFileError('Corrupt MIDI track.');
+    pos += 4;
+    const length = u32();
+    // A corrupt length can't run past the file
+    const end = Math.min(pos + length, data.length);
+    const open = new Map(); // channel:note -> pending note
+    let tick = 0;
+    let running = 0;
+    while (pos < end) {
+      tick += readVarLength();
+      let status = data[pos];
+      if (status & 0x80) pos++;
+      else if (running) status = running; // running status
+      else throw new MidiFileError('Corrupt MIDI track.');
+      if (status === 0xff) {
+        const type = data[pos++];
+        const len = readVarLength();
+        if (type === 0x51 && bpm === null) bpm = 60000000 / ((data[pos] << 16) + (data[pos + 1] << 8) + data[pos + 2]);
+        pos += len;
+        continue;
+      }
+      if (status === 0xf0 || status === 0xf7) {
+        pos += readVarLength();
+        continue;
+      }
+      running = status;
+      const type = status & 0xf0;
+      const channel = (status & 0x0f) + 1;
+      const d1 = data[pos++];
+      const d2 = type === 0xc0 || type === 0xd0 ? 0 : data[pos++];
+      const key = `${channel}:${d1}`;
+      if (type === 0x90 && d2 > 0) {
+        const note = { track, channel, note: d1, velocity: d2, tick, duration: 0 };
+        open.set(key, note);
+        notes.push(note);
+      } else if (type === 0x80 || type === 0x90) {
+        const note = open.get(key);
+        if (note) { note.duration = tick - note.tick; open.delete(key); }
+      }
+    }
+    pos = end;
+  }
+  return { ppq: division, bpm, notes };
+}
+
+// Quantise a parsed MIDI file onto the grids. Notes on the drum channel go to the drum
+// row with the matching `midiNote`; the rest to the step sequencer (notes landing on the
+// same step make a chord, notes longer than a step are tied over). Evenly spaced quick repeats within a step of a drum
+// hit become its ratchets; off-grid drum hits keep their micro-timing.
+// Returns { steps: [{ notes, gate, tie, locks } | null], drumSteps: rows of
+// { velocity, ratchet, offset } | null, bpm }.
+export function importPatternsFromMidi(buffer, { drums, length, drumChannel = DRUM_CHANNEL }) {
+  const { ppq, bpm, notes } = readMidiFile(buffer);
+  const spans = [];
+  const drumSteps = drums.map(() => Array(length).fill(null));
+  const lastHits = drums.map(() => null); // per row: { hit, start, tick, gap } of the latest note
+  notes
+    .slice()
+    .sort((a, b) => a.tick - b.tick || a.note - b.note)
+    .forEach(n => {
+      const step = Math.round(n.tick / ppq);
+      if (n.channel === drumChannel) {
+        const drumNote = GM_DRUM_ALIASES[n.note] || n.note;
+        const row = drums.findIndex(d => d.midiNote === drumNote);
+        if (row < 0) return;
+        const last = lastHits[row];
+        const gap = last ? n.tick - last.tick : 0;
+        const repeat = last && gap > 0 && gap <= ppq / 2 && n.tick - last.start < ppq && (last.gap === null || Math.abs(gap - last.gap) <= 1);
+        if (repeat) {
+          last.hit.ratchet = Math.min(MAX_RATCHET, last.hit.ratchet + 1);
+          last.tick = n.tick;
+          last.gap = gap;
+        } else if (step < length && !drumSteps[row][step]) {
+          const hit = {
+            velocity: Math.round((n.velocity / 127) * 100),
+            ratchet: 1,
+            offset: Math.round(((n.tick - step * ppq) / ppq) * 100),
+          };
+          drumSteps[row][step] = hit;
+          lastHits[row] = { hit, start: n.tick, tick: n.tick, gap: null };
+        }
+      } else if (step < length) {
+        spans.push({
+          start: step,
+          length: Math.max(MIN_GATE, n.duration / ppq),
+          note: NOTE_NAMES[n.note % 12],
+          octave: Math.max(1, Math.min(7, Math.floor(n.note / 12) - 1)),
+          velocity: Math.round((n.velocity / 127) * 100),
+        });
+      }
+    });
+  return { steps: spansToSteps(spans, Array(length).fill(null)), drumSteps, bpm };
+}
@@ -0,0 +1,79 @@
+// Web MIDI input: device selection and parsed note / CC / pitch bend events.
+// The MIDIAccess is injected so a mock can stand in for navigator.requestMIDIAccess.
+
+export const ALL_INPUTS = 'all';
+export const SUSTAIN_CC = 64;
+export const MOD_WHEEL_CC = 1;
+export const PITCH_BEND_RANGE = 2; // semitones either way
+
+export function midiSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+}
+
+export function requestMidiAccess() {
+  if (!midiSupported()) return Promise.reject(new Error('Web MIDI is not supported in this browser.'));
+  return navigator.requestMIDIAccess();
+}
+
+// Raw MIDI bytes to an event object, or null for messages we don't handle
+export function parseMidiMessage(data) {
+  const [status, d1 = 0, d2 = 0] = data;
+  // System real-time messages (clock sync) have no channel
+  switch (status) {
+    case 0xf8: return { type: 'clock' };
+    case 0xfa: return { type: 'start' };
+    case 0xfb: return { type: 'continue' };
+    case 0xfc: return { type: 'stop' };
+  }
+  const type = status & 0xf0;
+  const channel = (status & 0x0f) + 1;
+  switch (type) {
+    case 0x90:
+      // Note-on with velocity 0 is a note-off
+      return d2 > 0 ? { type: 'noteon', channel, note: d1, velocity: d2 } : { type: 'noteoff', channel, note: d1, velocity: 0 };
+    case 0x80:
+      return { type: 'noteoff', channel, note: d1, velocity: d2 };
+    case 0xb0:
+      return { type: 'cc', channel, controller: d1, value: d2 };
+    case 0xe0:
+      // 14-bit value centred on 8192, scaled to -1..1
+      return { type: 'pitchbend', channel, bend: Math.max(-1, (((d2 << 7) | d1) - 8192) / 8191) };
+    default:
+      return null;
+  }
+}
+
+export function listInputs(access) {
+  return Array.from(access.inputs.values()).map(input => ({ id: input.id, name: input.name || input.id }));
+}
+
+// Listen on one input (or ALL_INPUTS) and call `onEvent(event)` for each parsed message,
+// with the message's `timeStamp` (ms) added. `onDevicesChange()` fires when devices are
+// plugged in or removed.
+// Returns a function that detaches every listener.
+export function connectMidiInput(access, inputId, onEvent, onDevicesChange) {
+  const attached = [];
+  const handleMessage = (e) => {
+    const event = parseMidiMessage(e.data);
+    if (event) onEvent({ ...event, timeStamp: e.timeStamp });
+  };
+  const attach = () => {
+    attached.forEach(input => { input.onmidimessage = null; });
+    attached.length = 0;
+    access.inputs.forEach(input => {
+      if (inputId === ALL_INPUTS || input.id === inputId) {
+        input.onmidimessage = handleMessage;
+        attached.push(input);
+      }
+    });
+  };
+  attach();
+  access.onstatechange = () => {
+    attach();
+    if (onDevicesChange) onDevicesChange();
+  };
+  return () => {
+    attached.forEach(input => { input.onmidimessage = null; });
+    access.onstatechange = null;
+  };
+}
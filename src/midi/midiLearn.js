@@ -0,0 +1,46 @@
+// Parameters a MIDI CC can be bound to with MIDI learn
+export const LEARNABLE_PARAMS = [
+  { key: 'filter', label: 'Filter', min: 0, max: 100, step: 1 },
+  { key: 'reverb', label: 'Reverb', min: 0, max: 100, step: 1 },
+  { key: 'delay', label: 'Delay', min: 0, max: 100, step: 1 },
+  { key: 'dub', label: 'Dub', min: 0, max: 100, step: 1 },
+  { key: 'distortion', label: 'Distortion', min: 0, max: 100, step: 1 },
+  { key: 'stutter', label: 'Stutter', min: 0, max: 100, step: 1 },
+  { key: 'stutterRate', label: 'Stutter Rate', min: 1, max: 32, step: 1 },
+  { key: 'pitch', label: 'PitchShift', min: -12, max: 12, step: 1 },
+  { key: 'compressor', label: 'Compressor', min: -60, max: 0, step: 1 },
+  { key: 'oscMix', label: 'Osc Mix', min: 0, max: 1, step: 0.01 },
+  { key: 'osc1Detune', label: 'Osc 1 Detune', min: -100, max: 100, step: 1 },
+  { key: 'osc2Detune', label: 'Osc 2 Detune', min: -100, max: 100, step: 1 },
+  { key: 'osc1Position', label: 'Osc 1 Wavetable Position', min: 0, max: 1, step: 0.01 },
+  { key: 'osc2Position', label: 'Osc 2 Wavetable Position', min: 0, max: 1, step: 0.01 },
+  { key: 'osc2Coarse', label: 'Osc 2 Coarse', min: -24, max: 24, step: 1 },
+  { key: 'subLevel', label: 'Sub Level', min: 0, max: 1, step: 0.01 },
+  { key: 'ringLevel', label: 'Ring Mod', min: 0, max: 1, step: 0.01 },
+  { key: 'whiteLevel', label: 'White Noise', min: 0, max: 100, step: 1 },
+  { key: 'pinkLevel', label: 'Pink Noise', min: 0, max: 100, step: 1 },
+  { key: 'brownLevel', label: 'Brown Noise', min: 0, max: 100, step: 1 },
+  { key: 'drumVolume', label: 'Drum Volume', min: 0, max: 1, step: 0.01 },
+  { key: 'bpm', label: 'BPM', min: 60, max: 400, step: 1 },
+  { key: 'swing', label: 'Swing', min: 0, max: 100, step: 1 },
+];
+
+export const findLearnableParam = (key) => LEARNABLE_PARAMS.find(p => p.key === key);
+
+// CC value (0-127) to the parameter's range, snapped to its step
+export function ccToValue(param, value) {
+  const raw = param.min + (value / 127) * (param.max - param.min);
+  const snapped = Math.round(raw / param.step) * param.step;
+  return Number(snapped.toFixed(4));
+}
+
+// Bind `cc` to `param`. A CC drives one parameter; a parameter listens to one CC.
+export function addMapping(mappings, cc, param) {
+  return [...mappings.filter(m => m.cc !== cc && m.param !== param), { cc, param }];
+}
+
+// Keep only well-formed mappings to known parameters (for loading from files)
+export function sanitizeMappings(mappings) {
+  if (!Array.isArray(mappings)) return [];
+  return mappings.filter(m => m && Number.isInteger(m.cc) && m.cc >= 0 && m.cc < 128 && findLearnableParam(m.param));
+}
@@ -0,0 +1,23 @@
+import { toMidiTimestamp } from './midiClock';
+
+export const NO_OUTPUT = '';
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export function listOutputs(access) {
+  return Array.from(access.outputs.values()).map(output => ({ id: output.id, name: output.name || output.id }));
+}
+
+// Note name + octave to a MIDI note number (C4 = 60)
+export function midiNoteNumber(name, octave) {
+  const idx = NOTE_NAMES.indexOf(name);
+  return idx < 0 ? null : (octave + 1) * 12 + idx;
+}
+
+// Send a note-on at audio `time` and its note-off `duration` seconds later.
+// `channel` is 1-16, `velocity` 0-127.
+export function sendNote(output, channel, note, velocity, time, duration) {
+  const ch = (channel - 1) & 0x0f;
+  const vel = Math.max(1, Math.min(127, Math.round(velocity)));
+  output.send([0x90 | ch, note, vel], toMidiTimestamp(time));
+  output.send([0x80 | ch, note, 0], toMidiTimestamp(time + duration));
+}
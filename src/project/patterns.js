@@ -0,0 +1,139 @@
+import { DRUM_ROWS } from '../audio/drumKits';
+import { toDrumStep } from '../audio/drumMachine';
+import { STEPS_PER_BAR } from '../audio/transport';
+
+// Pattern banks A-H for each sequencer. A step sequencer pattern is an array of
+// steps; a drum pattern one array of hits per drum row. Every track (the step
+// sequencer, each drum row) has its own length, so tracks can run as polymeters.
+export const PATTERN_BANKS = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+export const MIN_PATTERN_LENGTH = 1;
+export const MAX_PATTERN_LENGTH = 64;
+export const DEFAULT_PATTERN_LENGTH = 8;
+
+// Step sequencer steps are null (a rest) or
+//   notes: [{ note, octave, velocity }] played together (a chord)
+//   gate:  note length as a fraction of the step (MIN_GATE-1)
+//   tie:   hold the notes into the next step instead of releasing them; notes the
+//          next step plays too carry on without retriggering
+//   locks: parameter locks for just this step, see audio/paramLocks
+export const MAX_STEP_NOTES = 8;
+export const MIN_GATE = 0.05;
+export const DEFAULT_GATE = 0.9;
+export const newStep = (notes = []) => ({ notes, gate: DEFAULT_GATE, tie: false, locks: {} });
+
+const sameNote = (a, b) => a.note === b.note && a.octave === b.octave;
+const playsNote = (step, n) => Boolean(step && step.notes.some(m => sameNote(m, n)));
+
+// A track's notes as spans [{ start, length, note, octave, velocity }], in steps. A note
+// tied on through following steps that play it too is one span.
+export function noteSpans(steps) {
+  const spans = [];
+  steps.forEach((step, i) => {
+    if (!step) return;
+    step.notes.forEach(n => {
+      // Carried over from a tie on the step before
+      if (i > 0 && steps[i - 1] && steps[i - 1].tie && playsNote(steps[i - 1], n)) return;
+      let last = i;
+      while (steps[last].tie && last + 1 < steps.length && playsNote(steps[last + 1], n)) last++;
+      const end = steps[last].tie ? last + 1 : last + steps[last].gate;
+      spans.push({ start: i, length: end - i, note: n.note, octave: n.octave, velocity: n.velocity });
+    });
+  });
+  return spans;
+}
+
+// Spans (whole-step starts) back onto the track `steps`, keeping each step's locks and cutting
+// spans at the track's end. Ties are per step, so a chord note ending in a step another note
+// is tied through lasts the whole step; notes ending in the same step share the longest gate.
+export function spansToSteps(spans, steps) {
+  const out = steps.map(step => ({ notes: [], gate: 0, tie: false, locks: step ? step.locks : {} }));
+  spans.forEach(span => {
+    const end = Math.min(span.start + span.length, steps.length);
+    const last = Math.ceil(end) - 1;
+    for (let i = span.start; i <= last; i++) {
+      const step = out[i];
+      if (!playsNote(step, span) && step.notes.length < MAX_STEP_NOTES) {
+        step.notes.push({ note: span.note, octave: span.octave, velocity: span.velocity });
+      }
+      if (i < last) step.tie = true;
+      else step.gate = Math.max(step.gate, end - i);
+    }
+  });
+  return out.map((step, i) => {
+    if (!step.notes.length && !Object.keys(step.locks).length) return null;
+    const gate = step.gate || (steps[i] ? steps[i].gate : DEFAULT_GATE);
+    return { ...step, gate: Math.max(MIN_GATE, Math.min(1, gate)) };
+  });
+}
+
+export const MAX_REPEATS = 16;
+export const DEFAULT_SONG_ENTRY = { seq: 0, drums: 0, repeats: 1 }; // bank indexes
+
+export const clampLength = (length) => Math.max(MIN_PATTERN_LENGTH, Math.min(MAX_PATTERN_LENGTH, Math.round(length) || DEFAULT_PATTERN_LENGTH));
+export const clampBank = (bank) => (Number.isInteger(bank) && bank >= 0 && bank < PATTERN_BANKS.length ? bank : 0);
+
+// Lengthen with empty steps or cut off the end
+export const resizeTrack = (track, length) => Array.from({ length: clampLength(length) }, (_, i) => track[i] ?? null);
+
+export const emptySeqPattern = () => Array(DEFAULT_PATTERN_LENGTH).fill(null);
+
+// A hit-or-null row per drum, keeping each row's length. Missing rows (older,
+// smaller grids) get the default length.
+export function toDrumPattern(rows) {
+  const src = Array.isArray(rows) ? rows : [];
+  return DRUM_ROWS.map((_, i) => {
+    const row = Array.isArray(src[i]) && src[i].length ? src[i] : [];
+    return resizeTrack(row, row.length || DEFAULT_PATTERN_LENGTH).map(toDrumStep);
+  });
+}
+
+export function sanitizeSong(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(e => e && typeof e === 'object')
+    .map(e => ({
+      seq: clampBank(e.seq),
+      drums: clampBank(e.drums),
+      repeats: Math.max(1, Math.min(MAX_REPEATS, Math.round(e.repeats) || 1)),
+    }));
+}
+
+// Steps one pass of a pattern pair lasts: its longest track, rounded up to whole
+// bars so song entries (and queued switches) change on the bar line
+export function patternSteps(seqPattern, drumPattern) {
+  const longest = Math.max(seqPattern.length, ...drumPattern.map(row => row.length));
+  return Math.ceil(longest / STEPS_PER_BAR) * STEPS_PER_BAR;
+}
+
+const entrySteps = (entry, seqPatterns, drumPatterns) => entry.repeats * patternSteps(seqPatterns[entry.seq], drumPatterns[entry.drums]);
+
+// Song entry playing `step` steps into the song (which loops): { index, offset }
+// with `offset` counted from the start of the entry. null for an empty song.
+export function songPosition(song, seqPatterns, drumPatterns, step) {
+  const lengths = song.map(entry => entrySteps(entry, seqPatterns, drumPatterns));
+  const total = lengths.reduce((sum, n) => sum + n, 0);
+  if (!total) return null;
+  let offset = step % total;
+  for (let index = 0; index < lengths.length; index++) {
+    if (offset < lengths[index]) return { index, offset };
+    offset -= lengths[index];
+  }
+  return null;
+}
+
+// The arrangement unrolled into one step sequencer track and one drum pattern,
+// each track repeating inside every entry. Used for song playback and export.
+export function flattenSong(song, seqPatterns, drumPatterns) {
+  const sequencer = [];
+  const drumSteps = DRUM_ROWS.map(() => []);
+  song.forEach(entry => {
+    const seq = seqPatterns[entry.seq];
+    const rows = drumPatterns[entry.drums];
+    const steps = entrySteps(entry, seqPatterns, drumPatterns);
+    for (let i = 0; i < steps; i++) {
+      sequencer.push(seq[i % seq.length]);
+      rows.forEach((row, r) => drumSteps[r].push(row[i % row.length]));
+    }
+  });
+  return { sequencer, drumSteps };
+}
@@ -0,0 +1,46 @@
+import { DEFAULT_VOICE_SETTINGS } from '../audio/voiceManager';
+import { DEFAULT_ENVELOPE_SETTINGS } from '../audio/envelope';
+import { DEFAULT_OSC_SETTINGS, OSC_TABLE_KEYS } from '../audio/oscillator';
+import { sanitizeWavetable } from '../audio/wavetable';
+import { DEFAULT_MOD_SETTINGS } from '../audio/modMatrix';
+import { legacyEffects, sanitizeEffects } from '../audio/effects';
+
+// A preset is a plain-data snapshot of every sound engine parameter.
+export const DEFAULT_PRESET = {
+  osc1Type: 'sine',
+  osc2Type: 'sine',
+  osc1Detune: 0,
+  osc2Detune: 0,
+  oscMix: 0.5,
+  osc2Enabled: true,
+  ...DEFAULT_OSC_SETTINGS,
+  ...DEFAULT_VOICE_SETTINGS,
+  ...DEFAULT_ENVELOPE_SETTINGS,
+  ...DEFAULT_MOD_SETTINGS,
+  whiteLevel: 0,
+  pinkLevel: 0,
+  brownLevel: 0,
+  effects: legacyEffects(), // rack modules in chain order: [{ id, type, bypass, params }]
+};
+
+export const PRESET_KEYS = Object.keys(DEFAULT_PRESET);
+
+// Pick the preset fields out of any object (state, old presets with extra fields, ...),
+// filling missing ones from the defaults
+export function toPreset(source) {
+  const preset = {};
+  PRESET_KEYS.forEach(key => {
+    const value = source ? source[key] : undefined;
+    const valid = Array.isArray(DEFAULT_PRESET[key]) ? Array.isArray(value) : typeof value === typeof DEFAULT_PRESET[key];
+    preset[key] = valid ? value : DEFAULT_PRESET[key];
+  });
+  // Presets from before the effects rack have flat effect values instead
+  preset.effects = sanitizeEffects(source && source.effects) || legacyEffects(source || {});
+  OSC_TABLE_KEYS.forEach(key => { preset[key] = sanitizeWavetable(preset[key]); });
+  return preset;
+}
+
+// Keys whose values differ between two presets (LFOs, mod routes and effects compare by content)
+export function diffPreset(a, b) {
+  return PRESET_KEYS.filter(key => JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+}
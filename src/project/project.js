@@ -0,0 +1,202 @@
+import { DEFAULT_PRESET, toPreset } from './presets';
+import { sanitizeMappings } from '../midi/midiLearn';
+import { legacyEffects, sanitizeEffects } from '../audio/effects';
+import { DRUM_ROWS, DEFAULT_KIT, isDrumKit, sanitizeDrumSamples } from '../audio/drumKits';
+import { DEFAULT_DRUM_CHANNEL, DEFAULT_DRUM_MIXER, sanitizeDrumMixer } from '../audio/drumMachine';
+import { DEFAULT_DRUM_SYNTH, sanitizeDrumSynth } from '../audio/drumSynth';
+import { sanitizeLocks, diffLocks } from '../audio/paramLocks';
+import { OSC_TABLE_KEYS } from '../audio/oscillator';
+import { sanitizeWavetable } from '../audio/wavetable';
+import { DEFAULT_TUNING, sanitizeTuning } from '../audio/tuning';
+import { DEFAULT_PERFORMANCE, sanitizePerformance } from '../audio/performance';
+import { midiNoteNumber } from '../midi/midiOutput';
+import { PATTERN_BANKS, MAX_PATTERN_LENGTH, MAX_STEP_NOTES, MIN_GATE, DEFAULT_GATE, clampBank, emptySeqPattern, toDrumPattern, sanitizeSong } from './patterns';
+
+// Versioned project file: the whole instrument state as plain JSON.
+export const PROJECT_FORMAT = 'drnklb-project';
+export const PROJECT_VERSION = 5;
+export const PROJECT_EXTENSION = '.drnklb.json';
+
+export const DEFAULT_SYNTH = {
+  ...DEFAULT_PRESET,
+  octave: 4,
+};
+
+export const DEFAULT_PROJECT = {
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  synth: DEFAULT_SYNTH,
+  tuning: DEFAULT_TUNING, // scale, keyboard mapping and reference pitch, see tuning.js
+  performance: DEFAULT_PERFORMANCE, // scale lock, chord mode and arpeggiator, see performance.js
+  presets: Array(8).fill(DEFAULT_PRESET),
+  transport: { bpm: 120, swing: 0 },
+  // patterns: one step array per bank (A-H), steps as in patterns.js; bank: the selected one
+  sequencer: { bank: 0, patterns: [] },
+  // patterns: per bank, one row of hits (or null) per drum; samples: { [row key]: { id, name } }
+  // in browser storage; mixer: channel strips by row key; synth: synth voice settings by row key
+  drums: { bank: 0, patterns: [], volume: 0.8, kit: DEFAULT_KIT, samples: {}, mixer: DEFAULT_DRUM_MIXER, synth: DEFAULT_DRUM_SYNTH },
+  song: { enabled: false, entries: [] }, // [{ seq, drums, repeats }], seq/drums are bank indexes
+  midi: { mappings: [] }, // [{ cc, param }] from MIDI learn
+};
+
+export class ProjectError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProjectError';
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Flat effect values (reverb, delay, filter, ...) to an effects rack
+const withEffects = (p) => (isObject(p) && !Array.isArray(p.effects) ? { ...p, effects: legacyEffects(p) } : p);
+
+// Tracks were a fixed 8 steps before pattern lengths
+const legacyTrack = (track) => Array.from({ length: 8 }, (_, i) => (Array.isArray(track) ? track[i] ?? null : null));
+
+// MIGRATIONS[n] upgrades a version n project to version n + 1
+const MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    synth: withEffects(data.synth),
+    presets: Array.isArray(data.presets) ? data.presets.map(withEffects) : data.presets,
+    sequencer: Array.isArray(data.sequencer) ? data.sequencer.map(withEffects) : data.sequencer,
+  }),
+  // "Drums through FX" becomes a full FX send on every row (boolean steps are read as hits below)
+  2: (data) => {
+    const drums = isObject(data.drums) ? data.drums : {};
+    const channel = { ...DEFAULT_DRUM_CHANNEL, send: drums.throughFX === true ? 1 : 0 };
+    return { ...data, drums: { ...drums, mixer: Object.fromEntries(DRUM_ROWS.map(d => [d.key, channel])) } };
+  },
+  // The single 8-step sequencer and drum patterns become bank A
+  3: (data) => ({
+    ...data,
+    sequencer: { bank: 0, patterns: [legacyTrack(data.sequencer)] },
+    drums: isObject(data.drums)
+      ? { ...data.drums, bank: 0, patterns: [Array.isArray(data.drums.steps) ? data.drums.steps.map(legacyTrack) : []] }
+      : data.drums,
+  }),
+  // Steps held one note and a snapshot of the whole sound; what differs from the synth becomes locks
+  4: (data) => {
+    const seq = isObject(data.sequencer) ? data.sequencer : {};
+    const base = toPreset(data.synth);
+    const patterns = Array.isArray(seq.patterns) ? seq.patterns.map(steps => (Array.isArray(steps) ? steps.map(step => toStep(step, base)) : steps)) : seq.patterns;
+    return { ...data, sequencer: { ...seq, patterns } };
+  },
+};
+
+// Fill missing or mistyped fields from `defaults`, recursing into objects.
+// Arrays are taken as-is when the default is an array too.
+function withDefaults(value, defaults) {
+  if (isObject(defaults)) {
+    const src = isObject(value) ? value : {};
+    const out = {};
+    Object.keys(defaults).forEach(key => { out[key] = withDefaults(src[key], defaults[key]); });
+    return out;
+  }
+  if (Array.isArray(defaults)) return Array.isArray(value) ? value : defaults;
+  return typeof value === typeof defaults ? value : defaults;
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const num = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+function toStepNote(n) {
+  if (!isObject(n) || midiNoteNumber(n.note, 4) === null) return null;
+  return {
+    note: n.note,
+    octave: clamp(Math.round(num(n.octave, DEFAULT_SYNTH.octave)), 1, 7),
+    velocity: clamp(Math.round(num(n.velocity, 80)), 1, 100),
+  };
+}
+
+// A sequencer step (see patterns.js), or null for a rest. Steps from before parameter
+// locks held one note and a snapshot of the whole sound: what differs from `base` is locked.
+export function toStep(step, base = DEFAULT_SYNTH) {
+  if (!isObject(step)) return null;
+  if (typeof step.note === 'string') {
+    const note = toStepNote(step);
+    const sound = { ...step, effects: sanitizeEffects(step.effects) || [] };
+    return note && { notes: [note], gate: DEFAULT_GATE, tie: false, locks: diffLocks(base, sound) };
+  }
+  const notes = (Array.isArray(step.notes) ? step.notes : []).map(toStepNote).filter(Boolean).slice(0, MAX_STEP_NOTES);
+  const locks = sanitizeLocks(step.locks);
+  // Steps without notes can still lock the chain (noise, effects)
+  if (!notes.length && !Object.keys(locks).length) return null;
+  return { notes, gate: clamp(num(step.gate, DEFAULT_GATE), MIN_GATE, 1), tie: step.tie === true, locks };
+}
+
+// A step sequencer pattern of 1-64 steps
+export function toSeqPattern(steps, base = DEFAULT_SYNTH) {
+  if (!Array.isArray(steps) || !steps.length) return emptySeqPattern();
+  return steps.slice(0, MAX_PATTERN_LENGTH).map(step => toStep(step, base));
+}
+
+export function serializeProject(state) {
+  const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    ...state,
+  };
+  return JSON.stringify(project, null, 2);
+}
+
+// Parse, validate and migrate a project file. Throws ProjectError if it can't be used.
+export function parseProject(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ProjectError('Not a valid JSON file.');
+  }
+  if (!isObject(data) || data.format !== PROJECT_FORMAT) {
+    throw new ProjectError('Not a DRNKLB project file.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new ProjectError('Project file has no valid schema version.');
+  }
+  if (data.version > PROJECT_VERSION) {
+    throw new ProjectError(`Project was saved by a newer version (schema ${data.version}).`);
+  }
+  while (data.version < PROJECT_VERSION) {
+    const migrate = MIGRATIONS[data.version];
+    if (!migrate) throw new ProjectError(`No migration from schema ${data.version}.`);
+    data = { ...migrate(data), version: data.version + 1 };
+  }
+  const project = withDefaults(data, DEFAULT_PROJECT);
+  project.synth.effects = sanitizeEffects(project.synth.effects) || DEFAULT_SYNTH.effects;
+  OSC_TABLE_KEYS.forEach(key => { project.synth[key] = sanitizeWavetable(project.synth[key]); });
+  project.tuning = sanitizeTuning(isObject(data.tuning) ? data.tuning : null);
+  project.performance = sanitizePerformance(project.performance);
+  // Older files carry partial presets (and held notes): keep only the sound parameters
+  project.presets = DEFAULT_PROJECT.presets.map((_, i) => toPreset(project.presets[i]));
+  project.sequencer.bank = clampBank(project.sequencer.bank);
+  project.sequencer.patterns = PATTERN_BANKS.map((_, i) => toSeqPattern(project.sequencer.patterns[i]));
+  project.drums.bank = clampBank(project.drums.bank);
+  project.drums.patterns = PATTERN_BANKS.map((_, i) => toDrumPattern(project.drums.patterns[i]));
+  project.drums.mixer = sanitizeDrumMixer(project.drums.mixer);
+  project.drums.synth = sanitizeDrumSynth(project.drums.synth);
+  if (!isDrumKit(project.drums.kit)) project.drums.kit = DEFAULT_KIT;
+  project.drums.samples = sanitizeDrumSamples(isObject(data.drums) ? data.drums.samples : null);
+  project.song.entries = sanitizeSong(project.song.entries);
+  project.midi.mappings = sanitizeMappings(project.midi.mappings);
+  return project;
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadProject(state, name = 'drnklb-project') {
+  downloadBlob(new Blob([serializeProject(state)], { type: 'application/json' }), `${name}${PROJECT_EXTENSION}`);
+}
+
+export async function readProjectFile(file) {
+  return parseProject(await file.text());
+}
@@ -0,0 +1,76 @@
+// Local persistence in IndexedDB.
+//   session: autosaved working state (quick slots, sequencer, drum pattern), keyed by name
+//   library: named presets with tags, keyed by auto-increment id
+//   samples: user drum samples ({ name, data: ArrayBuffer }), keyed by auto-increment id
+const DB_NAME = 'drnklb';
+const DB_VERSION = 2;
+export const SESSION_STORE = 'session';
+export const LIBRARY_STORE = 'library';
+export const SAMPLE_STORE = 'samples';
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE);
+        if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+          const library = db.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+          library.createIndex('name', 'name');
+        }
+        if (!db.objectStoreNames.contains(SAMPLE_STORE)) {
+          db.createObjectStore(SAMPLE_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry after a failed open (e.g. private browsing)
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction and resolve with the request's result
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export const loadSession = (key) => withStore(SESSION_STORE, 'readonly', store => store.get(key));
+export const saveSession = (key, value) => withStore(SESSION_STORE, 'readwrite', store => store.put(value, key));
+
+export const listLibrary = () => withStore(LIBRARY_STORE, 'readonly', store => store.getAll());
+export const deleteLibraryEntry = (id) => withStore(LIBRARY_STORE, 'readwrite', store => store.delete(id));
+
+// Insert or update a library entry ({ id?, name, tags, preset }); resolves with its id
+export function saveLibraryEntry(entry) {
+  const now = Date.now();
+  const record = { createdAt: now, ...entry, updatedAt: now };
+  return withStore(LIBRARY_STORE, 'readwrite', store => store.put(record));
+}
+
+// Store an encoded audio file; resolves with its id
+export const saveSample = ({ name, data }) => withStore(SAMPLE_STORE, 'readwrite', store => store.add({ name, data, createdAt: Date.now() }));
+export const loadSample = (id) => withStore(SAMPLE_STORE, 'readonly', store => store.get(id));
+
+// Case-insensitive match on name or any tag; every word of the query must match
+export function filterLibrary(entries, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return entries.filter(entry => {
+    const haystack = [entry.name, ...entry.tags].map(s => s.toLowerCase());
+    return words.every(w => haystack.some(s => s.includes(w)));
+  });
+}
+
+// "bass, dark  ,pad" -> ['bass', 'dark', 'pad']
+export const parseTags = (text) => [...new Set(text.split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
@@ -5,4 +5,8 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/DRNKLB/',
+  // lamejs is CommonJS and only imported from the MP3 worker, so pre-bundle it for dev
+  optimizeDeps: {
+    include: ['lamejs', 'lamejs/src/js/MPEGMode', 'lamejs/src/js/Lame', 'lamejs/src/js/BitStream'],
+  },
 })